@@ -34,6 +34,8 @@ Feature: Data Persistence and Import/Export
     Given I have a valid progress JSON file
     When I choose to import progress
     And I select my progress file
+    Then I should see a preview of the skills that would be added or lost
+    When I choose to replace my progress and apply the import
     Then my skill tree should update with the imported data
     And completed skills should show as completed
     And skill points should match the imported values
@@ -44,4 +46,131 @@ Feature: Data Persistence and Import/Export
     When the import process runs
     Then I should see an error message
     And my existing progress should remain unchanged
-    And I should be prompted to try again with a valid file
\ No newline at end of file
+    And I should be prompted to try again with a valid file
+
+  Scenario: Completion state stays consistent across reloads
+    Given I have completed the skill "Active Listening" at every rank
+    When I reload the application
+    Then the skill node should still show as completed
+    And skills that depend on it should still be unlocked
+    And my total skill points should be derived from completed skills only
+    And completing or uncompleting a skill should never count its points twice
+
+  Scenario: Restore progress from a snapshot
+    Given I have completed several skills
+    And I reset all progress
+    When I open the progress snapshots
+    Then I should see a "Before reset" snapshot listing the skills and points I lost
+    When I restore that snapshot
+    Then my completed skills and points should be back
+    And a "Before restore" snapshot should be kept of the progress I replaced
+
+  Scenario: Keep separate progress for each profile
+    Given I have completed several skills in the "Default" profile
+    When I create a profile named "Partner" from the header profile switcher
+    Then the skill tree should show no completed skills and no custom skills
+    When I switch back to the "Default" profile
+    Then my completed skills, custom skills and bookmarks should be restored
+    And exporting should only include the active profile's progress
+
+  Scenario: Keep progress in step across browser tabs
+    Given I have the skill tree open in two tabs
+    When I complete a skill in the first tab
+    Then the second tab should show the skill as completed
+    And skills it unlocks should become available in the second tab
+    When I complete a different skill in the second tab
+    Then both skills should remain completed in both tabs
+
+  Scenario: Merge imported progress with my own
+    Given I have completed some skills on this device
+    And I have a progress file exported from another device
+    When I import the file and choose to merge it with my progress
+    Then the preview should list skills whose completion dates differ
+    And it should show my points before and after the merge
+    When I choose to keep the earliest completion dates and apply the import
+    Then skills completed on either device should show as completed
+    And each skill should keep its earliest completion date
+    And points should be recalculated from the skill tree, not taken from the file
+
+  Scenario: Ignore edited point totals in an imported file
+    Given I have a progress file whose total points were edited by hand
+    When I import the file
+    Then the preview should warn that the file's totals do not match its skills
+    And after importing, my points should be calculated from the completed skills
+
+  Scenario: Recalculate points when skill point values change
+    Given I have saved progress
+    And a skill pack update changes the points of a skill I completed
+    When I reload the skill tree
+    Then my total points should reflect the new point values
+    And I should be told that my total changed
+
+  Scenario: Keep a history of completion changes
+    Given I have completed a skill
+    When I mark the skill as incomplete
+    And I complete it again
+    Then the completion history should list both completions and the uncompletion with their times
+    And the skill should appear among my recently completed skills
+    When I export my progress
+    Then the exported file should include the completion history
+
+  Scenario: Export and import a passphrase-protected file
+    Given I have progress with personal practice notes
+    When I export my progress and choose to protect it with a passphrase
+    Then the downloaded file should not contain my progress in readable form
+    When I import the file
+    Then I should be asked for the passphrase
+    When I enter a wrong passphrase
+    Then I should be told the passphrase is wrong and asked again
+    When I enter the correct passphrase
+    Then I should see a preview of the import
+
+  Scenario: Import files from older versions of the app
+    Given I have a progress file exported by an older version in a legacy format
+    When I import the file
+    Then the preview should say the file will be converted
+    And my completed skills and completion dates should be imported
+    When I export my progress again
+    Then the file should use the current versioned export format
+
+  Scenario: Export and import progress as CSV
+    Given I have completed some skills
+    When I export my progress as a skills spreadsheet
+    Then the CSV should have one row per skill with its category, points, time required, status, completion date and prerequisites
+    When I export a category summary
+    Then the CSV should have one row per category with its completion and points
+    Given I have a CSV listing skill names with a status column
+    When I import the CSV
+    Then I should be asked to confirm which skills will be marked complete
+    And rows that match no skill should be listed as skipped
+    And the listed skills should be marked complete as one undoable change
+
+  Scenario: Generate a progress report
+    Given I have completed skills in several categories
+    When I generate a progress report
+    Then I should see my overall statistics and a completion bar for each category
+    And I should see my recently completed skills with their dates
+    And I should see recommended next skills
+    When I download the report as Markdown
+    Then the file should contain the same sections
+    When I print the report
+    Then only the report should be printed, laid out for paper
+
+  Scenario: Export the skill tree as an image
+    Given I am zoomed in on one category
+    When I export the tree as a PNG 4000 pixels wide
+    Then the image should be 4000 pixels wide and show the whole tree with skill labels
+    And the on-screen view should be unchanged
+    When I export the tree as SVG
+    Then the file should contain the nodes, curved connections and labels as vector shapes
+
+  Scenario: Share my tree as a link
+    Given I have completed some skills
+    When I copy a share link
+    Then the link should encode my completed skills in its fragment
+    When someone opens the link
+    Then they should see my tree read-only without their own progress changing
+    When they compare it with their own
+    Then they should see which skills only one of us has completed and both point totals
+    When they choose to import it
+    Then they should see the import preview with merge and replace options
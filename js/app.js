@@ -10,6 +10,10 @@ class SkillTreeApp {
         this.userProgress = null;
         this.canvasRenderer = null;
         this.currentModal = null;
+        this.pendingImport = null; // File text awaiting confirmation in the import preview
+        this.pendingPassphraseRequest = null; // Resolves the open passphrase prompt of an encrypted import
+        this.currentReport = null; // Report data shown in the report modal
+        this.sharedView = null; // Read-only tree opened from a share link
         
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -44,6 +48,27 @@ class SkillTreeApp {
             // Hide loading screen
             this.hideLoadingScreen();
             
+            // Stored progress that could not be upgraded is backed up, never silently dropped
+            const migration = this.userProgress.lastMigration;
+            if (migration && !migration.success) {
+                this.showErrorMessage(`${migration.error}. Your saved progress was backed up as "${migration.backupKey}" and a fresh start was loaded.`);
+            }
+            const loadError = this.userProgress.loadError;
+            if (loadError) {
+                this.showErrorMessage(loadError.backupKey
+                    ? `${loadError.error}. Your saved progress was backed up as "${loadError.backupKey}" and a fresh start was loaded.`
+                    : `${loadError.error}. It was left untouched, and changes will not be saved until the page is reloaded.`);
+            }
+            
+            // Skill packs may have changed point values since the last visit
+            const recalculation = this.userProgress.lastRecalculation;
+            if (recalculation) {
+                this.handleProgressEvent('points-recalculated', recalculation);
+            }
+            
+            // Opened from a share link: show the shared tree read-only
+            await this.openSharedLink();
+            
             console.log('Skill Tree App initialized successfully');
             this.initialized = true;
             
@@ -61,9 +86,10 @@ class SkillTreeApp {
         try {
             this.updateLoadingStatus('Loading skill data...');
             
-            // Initialize skill data
+            // Initialize skill data from the configured skill packs
             this.skillData = new SkillData();
             window.skillData = this.skillData;
+            await this.skillData.loadSkillPacks();
             
             if (!this.skillData.initialized) {
                 throw new Error('Skill data failed to initialize');
@@ -74,9 +100,22 @@ class SkillTreeApp {
             // Initialize user progress
             this.userProgress = new UserProgress();
             window.userProgress = this.userProgress;
+            await this.userProgress.ready;
             
-            // Sync progress with skill data
+            // Add user-authored categories and skills to the tree
+            this.loadCustomContent();
+            
+            // Share the user's completion store with skill data
             this.userProgress.syncWithSkillData(this.skillData);
+            this.progressStore = this.userProgress.store;
+            
+            // All exports and imports go through one versioned file format
+            this.importExport = new ImportExportController(this.userProgress, this.skillData);
+            
+            // Re-render whenever completion state changes, whatever changed it
+            this.progressStore.subscribe((event, data) => {
+                this.handleStoreChange(event, data);
+            });
             
             // Listen for progress changes
             this.userProgress.addEventListener((event, data) => {
@@ -89,6 +128,8 @@ class SkillTreeApp {
             this.skillTree = new SkillTree(this.skillData, this.userProgress);
             window.skillTree = this.skillTree;
             
+            this.report = new ProgressReport(this.skillTree, this.skillData, this.userProgress);
+            
         } catch (error) {
             console.error('Error in initializeDataModels:', error);
             throw error; // Re-throw to be caught by the main initialize method
@@ -152,7 +193,16 @@ class SkillTreeApp {
         const arrangeBtn = document.getElementById('arrange-btn');
         const exportBtn = document.getElementById('export-btn');
         const importBtn = document.getElementById('import-btn');
+        const exportImageBtn = document.getElementById('export-image-btn');
+        const shareBtn = document.getElementById('share-btn');
         const clearAllBtn = document.getElementById('clear-all-btn');
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const snapshotsBtn = document.getElementById('snapshots-btn');
+        const reportBtn = document.getElementById('report-btn');
+        const profileSelect = document.getElementById('profile-select');
+        const addSkillBtn = document.getElementById('add-skill-btn');
+        const addCategoryBtn = document.getElementById('add-category-btn');
         
         if (zoomInBtn) {
             zoomInBtn.addEventListener('click', () => this.handleZoomIn());
@@ -178,10 +228,66 @@ class SkillTreeApp {
             importBtn.addEventListener('click', () => this.handleImport());
         }
         
+        if (exportImageBtn) {
+            exportImageBtn.addEventListener('click', () => this.showImageExport());
+        }
+        
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.handleShareLink());
+        }
+        
+        const sharedBindings = [
+            ['shared-compare-btn', () => this.toggleSharedComparison()],
+            ['shared-import-btn', () => this.importSharedProgress()],
+            ['shared-close-btn', () => this.closeSharedView()]
+        ];
+        sharedBindings.forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        });
+        
+        // Following a share link while the app is open
+        window.addEventListener('hashchange', () => this.openSharedLink());
+        
         if (clearAllBtn) {
             clearAllBtn.addEventListener('click', () => this.handleClearAll());
         }
         
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.handleUndo());
+        }
+        
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.handleRedo());
+        }
+        
+        if (snapshotsBtn) {
+            snapshotsBtn.addEventListener('click', () => this.showSnapshots());
+        }
+        
+        if (reportBtn) {
+            reportBtn.addEventListener('click', () => this.showReport());
+        }
+        
+        if (profileSelect) {
+            profileSelect.addEventListener('change', (e) => this.handleProfileSelect(e.target.value));
+        }
+        this.renderProfileSwitcher();
+        
+        // Keep undo/redo buttons in step with the history
+        this.userProgress.history.addEventListener(() => this.updateHistoryButtons());
+        this.updateHistoryButtons();
+        
+        if (addSkillBtn) {
+            addSkillBtn.addEventListener('click', () => this.showCustomSkillEditor());
+        }
+        
+        if (addCategoryBtn) {
+            addCategoryBtn.addEventListener('click', () => this.showCustomCategoryEditor());
+        }
+        
         // Category navigation
         const categoryButtons = document.querySelectorAll('.category-btn');
         categoryButtons.forEach(btn => {
@@ -234,6 +340,39 @@ class SkillTreeApp {
                 btn.setAttribute('title', `${progress.percentage}% complete`);
             }
         });
+        
+        this.renderCustomCategoryNavigation();
+    }
+
+    /**
+     * Render sidebar entries for user-authored categories
+     */
+    renderCustomCategoryNavigation() {
+        const categoryList = document.getElementById('category-list');
+        if (!categoryList) return;
+        
+        categoryList.querySelectorAll('li.custom-category').forEach(item => item.remove());
+        
+        this.skillData.getCustomCategories().forEach(category => {
+            const item = document.createElement('li');
+            item.className = 'custom-category';
+            item.innerHTML = `
+                <button class="category-btn" data-category="${this.escapeHTML(category.id)}">
+                    <span class="category-icon">${this.escapeHTML(category.icon || '⭐')}</span>
+                    <span class="category-name">${this.escapeHTML(category.name)}</span>
+                </button>
+                <button class="category-edit-btn" title="Edit Category" aria-label="Edit ${this.escapeHTML(category.name)} category">✏️</button>
+            `;
+            
+            item.querySelector('.category-btn').addEventListener('click', (e) => {
+                this.handleCategoryClick(category.id, e);
+            });
+            item.querySelector('.category-edit-btn').addEventListener('click', () => {
+                this.showCustomCategoryEditor(category.id);
+            });
+            
+            categoryList.appendChild(item);
+        });
     }
 
     /**
@@ -257,6 +396,42 @@ class SkillTreeApp {
             uncompleteBtn.addEventListener('click', () => this.handleSkillUncomplete());
         }
         
+        // Achievement checkboxes are re-rendered with the modal, so delegate from the container
+        const skillInfo = document.getElementById('skill-info');
+        if (skillInfo) {
+            skillInfo.addEventListener('change', (e) => {
+                const index = e.target.dataset && e.target.dataset.achievementIndex;
+                if (index !== undefined) {
+                    this.handleAchievementToggle(Number(index), e.target.checked);
+                }
+            });
+            
+            skillInfo.addEventListener('submit', (e) => {
+                if (e.target.id === 'practice-log-form') {
+                    e.preventDefault();
+                    this.handlePracticeLog(e.target);
+                }
+            });
+            
+            skillInfo.addEventListener('click', (e) => {
+                const sessionId = e.target.dataset && e.target.dataset.practiceSessionId;
+                if (sessionId) {
+                    this.handlePracticeDelete(sessionId);
+                }
+            });
+        }
+        
+        const editBtn = document.getElementById('edit-skill-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => {
+                const skill = this.currentModal;
+                this.hideSkillModal();
+                if (skill) {
+                    this.showCustomSkillEditor(skill.skill_id);
+                }
+            });
+        }
+        
         // Close modal on escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.currentModal) {
@@ -272,6 +447,158 @@ class SkillTreeApp {
                 }
             });
         }
+        
+        this.initializeCustomContentEditors();
+    }
+
+    /**
+     * Wire up the custom skill and custom category editor modals
+     */
+    initializeCustomContentEditors() {
+        const skillModal = document.getElementById('custom-skill-modal');
+        const skillForm = document.getElementById('custom-skill-form');
+        const categoryModal = document.getElementById('custom-category-modal');
+        const categoryForm = document.getElementById('custom-category-form');
+        const snapshotsModal = document.getElementById('snapshots-modal');
+        const reportModal = document.getElementById('report-modal');
+        const snapshotList = document.getElementById('snapshot-list');
+        const importModal = document.getElementById('import-preview-modal');
+        const importForm = document.getElementById('import-preview-form');
+        const passphraseModal = document.getElementById('import-passphrase-modal');
+        const passphraseForm = document.getElementById('import-passphrase-form');
+        const exportModal = document.getElementById('export-modal');
+        const exportForm = document.getElementById('export-form');
+        const exportEncrypt = document.getElementById('export-encrypt');
+        const imageExportModal = document.getElementById('image-export-modal');
+        const imageExportForm = document.getElementById('image-export-form');
+        
+        if (skillForm) {
+            skillForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCustomSkillSave();
+            });
+        }
+        
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCustomCategorySave();
+            });
+        }
+        
+        const bindings = [
+            ['close-custom-skill-modal', () => this.hideModal('custom-skill-modal')],
+            ['delete-custom-skill-btn', () => this.handleCustomSkillDelete()],
+            ['custom-skill-new-category', () => this.showCustomCategoryEditor()],
+            ['close-custom-category-modal', () => this.hideModal('custom-category-modal')],
+            ['delete-custom-category-btn', () => this.handleCustomCategoryDelete()],
+            ['close-snapshots-modal', () => this.hideModal('snapshots-modal')],
+            ['close-import-preview-modal', () => this.cancelPendingImport()],
+            ['cancel-import-btn', () => this.cancelPendingImport()],
+            ['close-import-passphrase-modal', () => this.resolvePassphraseRequest(null)],
+            ['cancel-import-passphrase-btn', () => this.resolvePassphraseRequest(null)],
+            ['close-export-modal', () => this.hideModal('export-modal')],
+            ['close-report-modal', () => this.hideModal('report-modal')],
+            ['close-image-export-modal', () => this.hideModal('image-export-modal')],
+            ['print-report-btn', () => this.printReport()],
+            ['download-report-md-btn', () => this.downloadReport('markdown')],
+            ['download-report-html-btn', () => this.downloadReport('html')]
+        ];
+        bindings.forEach(([id, handler]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        });
+        
+        if (snapshotList) {
+            snapshotList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-restore-snapshot]');
+                if (button) {
+                    this.handleSnapshotRestore(button.dataset.restoreSnapshot);
+                }
+            });
+        }
+        
+        if (exportForm) {
+            exportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleExportSubmit();
+            });
+        }
+        
+        if (exportEncrypt) {
+            exportEncrypt.addEventListener('change', () => this.updateExportPassphraseFields());
+        }
+        
+        document.querySelectorAll('input[name="export-format"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateExportPassphraseFields());
+        });
+        
+        if (imageExportForm) {
+            imageExportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleImageExportSubmit();
+            });
+            imageExportForm.addEventListener('change', () => this.updateImageExportFields());
+        }
+        
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyPendingImport();
+            });
+            // Re-run the preview whenever the mode or date policy changes
+            importForm.addEventListener('change', () => this.showImportPreview());
+        }
+        
+        if (passphraseForm) {
+            passphraseForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.resolvePassphraseRequest(document.getElementById('import-passphrase').value);
+            });
+        }
+        
+        if (passphraseModal) {
+            passphraseModal.addEventListener('click', (e) => {
+                if (e.target === passphraseModal) {
+                    this.resolvePassphraseRequest(null);
+                }
+            });
+            passphraseModal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.resolvePassphraseRequest(null);
+                }
+            });
+        }
+        
+        if (importModal) {
+            importModal.addEventListener('click', (e) => {
+                if (e.target === importModal) {
+                    this.cancelPendingImport();
+                }
+            });
+            importModal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.cancelPendingImport();
+                }
+            });
+        }
+        
+        // Close editors on backdrop click or escape key
+        [skillModal, categoryModal, snapshotsModal, exportModal, reportModal, imageExportModal].forEach(modal => {
+            if (!modal) return;
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideModal(modal.id);
+                }
+            });
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.hideModal(modal.id);
+                }
+            });
+        });
     }
 
     /**
@@ -284,7 +611,8 @@ class SkillTreeApp {
         const completeBtn = document.getElementById('complete-skill-btn');
         const uncompleteBtn = document.getElementById('uncomplete-skill-btn');
         
-        if (!modal || !skill) return;
+        // Shared trees are read-only
+        if (!modal || !skill || this.sharedView) return;
         
         this.currentModal = skill;
         
@@ -295,67 +623,79 @@ class SkillTreeApp {
         
         if (info) {
             const isCompleted = this.userProgress.isSkillCompleted(skill.skill_id);
-            const canComplete = skill.unlocked && !isCompleted;
+            const rank = this.userProgress.getSkillRank(skill.skill_id);
             
             info.innerHTML = `
-                <h3>${skill.name}</h3>
-                <p>${skill.description}</p>
+                <h3>${this.escapeHTML(skill.name)}</h3>
+                <p>${this.escapeHTML(skill.description)}</p>
                 
                 <div class="skill-meta">
                     <div class="meta-item">
                         <div class="meta-label">Points</div>
-                        <div class="meta-value">${skill.points}</div>
+                        <div class="meta-value">${skill.ranks ? `${this.skillData.getRankPoints(skill, rank)} / ${this.skillData.getMaxPoints(skill)}` : skill.points}</div>
                     </div>
+                    ${skill.ranks ? `
+                        <div class="meta-item">
+                            <div class="meta-label">Rank</div>
+                            <div class="meta-value">${rank}/${skill.maxRank}${rank > 0 ? ` · ${this.escapeHTML(skill.ranks[rank - 1].name)}` : ''}</div>
+                        </div>
+                    ` : ''}
                     <div class="meta-item">
                         <div class="meta-label">Time Required</div>
-                        <div class="meta-value">${skill.timeRequired}</div>
+                        <div class="meta-value">${this.escapeHTML(skill.timeRequired || '—')}</div>
+                    </div>
+                    <div class="meta-item">
+                        <div class="meta-label">Hours Logged</div>
+                        <div class="meta-value">${this.formatHours(this.userProgress.getPracticeMinutes(skill.skill_id))}${skill.estimatedMinutes ? ` / ${this.formatHours(skill.estimatedMinutes)}` : ''} h</div>
                     </div>
                 </div>
                 
-                ${skill.achievements ? `
-                    <h4>Achievements:</h4>
-                    <ul>
-                        ${skill.achievements.map(achievement => `<li>${achievement}</li>`).join('')}
-                    </ul>
-                ` : ''}
+                ${skill.ranks ? this.renderRankList(skill, rank) : ''}
                 
-                ${skill.prerequisites && skill.prerequisites.length > 0 ? `
-                    <h4>Prerequisites:</h4>
-                    <ul>
-                        ${skill.prerequisites.map(prereqId => {
-                            const prereqSkill = this.skillData.getSkill(prereqId);
-                            const isPrereqCompleted = this.userProgress.isSkillCompleted(prereqId);
-                            return prereqSkill ? `
-                                <li class="${isPrereqCompleted ? 'completed' : 'incomplete'}">
-                                    ${prereqSkill.name} ${isPrereqCompleted ? '✅' : '❌'}
-                                </li>
-                            ` : '';
-                        }).join('')}
+                ${!skill.ranks && skill.achievements && skill.achievements.length > 0 ? `
+                    <h4>Achievements (${this.userProgress.getAchievementProgress(skill.skill_id, skill.achievements.length).completed}/${skill.achievements.length}):</h4>
+                    <ul class="achievement-list">
+                        ${skill.achievements.map((achievement, index) => 
+                            this.renderAchievementItem(skill, achievement, index, !skill.unlocked && !isCompleted)
+                        ).join('')}
                     </ul>
                 ` : ''}
+                
+                ${this.renderPracticeSection(skill)}
+                
+                ${this.renderUnlockRequirements(skill)}
             `;
         }
         
         // Update buttons
         if (completeBtn && uncompleteBtn) {
             const isCompleted = this.userProgress.isSkillCompleted(skill.skill_id);
+            const rank = this.userProgress.getSkillRank(skill.skill_id);
             
-            if (isCompleted) {
-                completeBtn.style.display = 'none';
-                uncompleteBtn.style.display = 'inline-block';
-            } else {
-                completeBtn.style.display = 'inline-block';
+            // Partially ranked skills can move in either direction
+            completeBtn.style.display = isCompleted ? 'none' : 'inline-block';
+            uncompleteBtn.style.display = rank > 0 ? 'inline-block' : 'none';
+            uncompleteBtn.textContent = skill.ranks ? 'Remove Rank' : 'Mark as Incomplete';
+            
+            if (!isCompleted) {
                 completeBtn.disabled = !skill.unlocked;
-                uncompleteBtn.style.display = 'none';
                 
                 if (!skill.unlocked) {
                     completeBtn.textContent = 'Prerequisites Required';
+                } else if (skill.ranks) {
+                    completeBtn.textContent = `Advance to ${skill.ranks[rank].name}`;
                 } else {
                     completeBtn.textContent = 'Mark as Completed';
                 }
             }
         }
         
+        // Only user-authored skills can be edited
+        const editBtn = document.getElementById('edit-skill-btn');
+        if (editBtn) {
+            editBtn.style.display = skill.custom ? 'inline-block' : 'none';
+        }
+        
         // Show modal
         modal.style.display = 'flex';
         modal.setAttribute('aria-hidden', 'false');
@@ -379,160 +719,713 @@ class SkillTreeApp {
     }
 
     /**
-     * Handle skill completion
+     * Hide a modal dialog by element ID
      */
-    handleSkillComplete() {
-        if (!this.currentModal) return;
-        
-        const skill = this.currentModal;
-        
-        // Complete skill in data model
-        const success = this.skillData.completeSkill(skill.skill_id);
-        if (success) {
-            // Update user progress
-            this.userProgress.completeSkill(skill.skill_id, skill);
-            
-            // Add visual effect
-            this.canvasRenderer.addCompletionEffect(skill);
-            
-            // Update UI
-            this.updateProgressDisplay();
-            this.render();
-            
-            // Update modal
-            this.showSkillModal(skill);
-            
-            console.log(`Skill completed: ${skill.name}`);
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.style.display = 'none';
+            modal.setAttribute('aria-hidden', 'true');
         }
     }
 
     /**
-     * Handle skill uncompletion
+     * Show a modal dialog by element ID and focus its first field
      */
-    handleSkillUncomplete() {
-        if (!this.currentModal) return;
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
         
-        const skill = this.currentModal;
+        modal.style.display = 'flex';
+        modal.setAttribute('aria-hidden', 'false');
         
-        // Uncomplete skill in data model
-        const success = this.skillData.uncompleteSkill(skill.skill_id);
-        if (success) {
-            // Update user progress
-            this.userProgress.uncompleteSkill(skill.skill_id, skill);
-            
-            // Update UI
-            this.updateProgressDisplay();
-            this.render();
-            
-            // Update modal
-            this.showSkillModal(skill);
-            
-            console.log(`Skill uncompleted: ${skill.name}`);
+        const firstField = modal.querySelector('input, textarea, select');
+        if (firstField) {
+            setTimeout(() => firstField.focus(), 100);
         }
     }
 
     /**
-     * Handle progress events
+     * Load user-authored categories and skills into the skill data model
      */
-    handleProgressEvent(event, data) {
-        switch (event) {
-            case 'skill-completed':
-            case 'skill-uncompleted':
-                this.updateProgressDisplay();
-                this.render();
-                break;
-            case 'progress-imported':
-                this.updateProgressDisplay();
-                this.render();
-                console.log('Progress imported successfully');
-                break;
-            case 'progress-reset':
-                this.updateProgressDisplay();
-                this.render();
-                console.log('Progress reset');
-                break;
+    loadCustomContent() {
+        const result = this.skillData.loadCustomContent(
+            this.userProgress.getCustomCategories(),
+            this.userProgress.getCustomSkills()
+        );
+        
+        if (!result.success) {
+            console.warn('Some custom skills could not be loaded:', result.errors);
+        }
+        
+        if (this.skillTree) {
+            this.skillTree.optimizeConnectionPaths();
         }
     }
 
     /**
-     * Update progress display
+     * Show the custom skill editor, optionally pre-filled with an existing custom skill
      */
-    updateProgressDisplay() {
-        // Update total points
-        const totalPointsElement = document.getElementById('total-points');
-        if (totalPointsElement) {
-            totalPointsElement.textContent = this.userProgress.getTotalPoints();
+    showCustomSkillEditor(skillId = null) {
+        const form = document.getElementById('custom-skill-form');
+        const title = document.getElementById('custom-skill-modal-title');
+        const deleteBtn = document.getElementById('delete-custom-skill-btn');
+        if (!form) return;
+        
+        const definition = skillId ? this.userProgress.getCustomSkill(skillId) : null;
+        if (skillId && !definition) {
+            console.error(`Custom skill not found: ${skillId}`);
+            return;
         }
         
-        // Update category progress
-        const categoryProgressElement = document.getElementById('category-progress');
-        if (categoryProgressElement) {
-            const categories = this.skillData.getAllCategories();
-            
-            categoryProgressElement.innerHTML = categories.map(category => {
-                const progress = this.userProgress.getCategoryProgress(category.id);
-                return `
-                    <div class="category-progress-item">
-                        <div class="category-name">${category.name}</div>
-                        <div class="progress-bar">
-                            <div class="progress-fill ${category.id}" style="width: ${progress.percentage}%"></div>
-                        </div>
-                        <div class="progress-percentage">${progress.percentage}%</div>
-                    </div>
-                `;
-            }).join('');
+        form.reset();
+        form.dataset.skillId = definition ? definition.skill_id : '';
+        this.showFormErrors('custom-skill-errors', []);
+        
+        if (title) {
+            title.textContent = definition ? 'Edit Custom Skill' : 'Create Custom Skill';
         }
+        if (deleteBtn) {
+            deleteBtn.style.display = definition ? 'inline-block' : 'none';
+        }
+        
+        this.populateCustomSkillOptions(definition ? definition.category : null, definition);
+        
+        if (definition) {
+            form.elements.name.value = definition.name;
+            form.elements.description.value = definition.description || '';
+            form.elements.points.value = definition.points;
+            form.elements.timeRequired.value = definition.timeRequired || '';
+            form.elements.achievements.value = (definition.achievements || []).join('\n');
+        }
+        
+        this.showModal('custom-skill-modal');
     }
 
     /**
-     * Handle zoom in
+     * Fill the category and prerequisite pickers of the custom skill editor
      */
-    handleZoomIn() {
-        if (this.canvasRenderer) {
-            const canvas = this.canvasRenderer.canvas;
-            this.canvasRenderer.zoom(1.2, canvas.width / 2, canvas.height / 2);
-            this.render();
+    populateCustomSkillOptions(selectedCategory = null, definition = null) {
+        const categorySelect = document.getElementById('custom-skill-category');
+        const prereqSelect = document.getElementById('custom-skill-prerequisites');
+        
+        if (categorySelect) {
+            const current = selectedCategory || categorySelect.value;
+            categorySelect.innerHTML = this.skillData.getAllCategories().map(category => `
+                <option value="${this.escapeHTML(category.id)}">${this.escapeHTML(`${category.icon || ''} ${category.name}`.trim())}</option>
+            `).join('');
+            if (current && this.skillData.getCategory(current)) {
+                categorySelect.value = current;
+            }
+        }
+        
+        if (prereqSelect) {
+            const selected = new Set(definition ? definition.prerequisites || [] : []);
+            const editingId = definition ? definition.skill_id : null;
+            
+            prereqSelect.innerHTML = this.skillData.getAllCategories().map(category => {
+                const options = this.skillData.getSkillsByCategory(category.id)
+                    .filter(skill => skill.skill_id !== editingId)
+                    .map(skill => `
+                        <option value="${this.escapeHTML(skill.skill_id)}" ${selected.has(skill.skill_id) ? 'selected' : ''}>
+                            ${this.escapeHTML(skill.name)}
+                        </option>
+                    `).join('');
+                return options ? `<optgroup label="${this.escapeHTML(category.name)}">${options}</optgroup>` : '';
+            }).join('');
         }
     }
 
     /**
-     * Handle zoom out
+     * Save the custom skill editor form
      */
-    handleZoomOut() {
-        if (this.canvasRenderer) {
-            const canvas = this.canvasRenderer.canvas;
-            this.canvasRenderer.zoom(0.8, canvas.width / 2, canvas.height / 2);
-            this.render();
+    handleCustomSkillSave() {
+        const form = document.getElementById('custom-skill-form');
+        if (!form) return;
+        
+        const existingId = form.dataset.skillId || null;
+        const existing = existingId ? this.userProgress.getCustomSkill(existingId) : null;
+        const name = form.elements.name.value.trim();
+        const category = form.elements.category.value;
+        const pointsValue = form.elements.points.value;
+        
+        const definition = {
+            skill_id: existing ? existing.skill_id : this.generateCustomId('custom_skill', name),
+            name: name,
+            description: form.elements.description.value.trim(),
+            category: category,
+            points: pointsValue === '' ? NaN : Number(pointsValue),
+            timeRequired: form.elements.timeRequired.value.trim(),
+            prerequisites: Array.from(form.elements.prerequisites.selectedOptions).map(option => option.value),
+            unlocks: [],
+            // Keep the node where it was unless the skill moved to another category
+            position: existing && existing.category === category
+                ? existing.position
+                : this.skillTree.getPositionForNewSkill(category),
+            achievements: form.elements.achievements.value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line.length > 0)
+        };
+        
+        const result = this.skillData.addCustomSkill(definition);
+        if (!result.success) {
+            this.showFormErrors('custom-skill-errors', result.errors.map(error => error.message));
+            return;
         }
+        
+        this.userProgress.saveCustomSkill(definition);
+        this.refreshAfterCustomContentChange();
+        this.hideModal('custom-skill-modal');
+        
+        console.log(`Custom skill saved: ${definition.name}`);
     }
 
     /**
-     * Handle reset view
+     * Delete the custom skill open in the editor
      */
-    handleResetView() {
-        if (this.canvasRenderer) {
-            this.canvasRenderer.resetView();
-            this.render();
-        }
+    handleCustomSkillDelete() {
+        const form = document.getElementById('custom-skill-form');
+        const skillId = form ? form.dataset.skillId : null;
+        if (!skillId) return;
+        
+        const skill = this.skillData.getSkill(skillId);
+        const confirmed = confirm(`Delete the custom skill "${skill ? skill.name : skillId}"? Its progress will be lost.`);
+        if (!confirmed) return;
+        
+        this.skillData.removeSkill(skillId);
+        this.userProgress.deleteCustomSkill(skillId);
+        this.refreshAfterCustomContentChange();
+        this.hideModal('custom-skill-modal');
+        
+        console.log(`Custom skill deleted: ${skillId}`);
     }
 
     /**
-     * Handle arrange layout
+     * Show the custom category editor, optionally pre-filled with an existing custom category
      */
-    handleArrangeLayout() {
-        if (this.skillTree) {
-            // Restart D3 force simulation for re-arranging
-            this.skillTree.restartSimulation();
-            
-            console.log('Skill tree layout rearranged using D3 force simulation');
+    showCustomCategoryEditor(categoryId = null) {
+        const form = document.getElementById('custom-category-form');
+        const title = document.getElementById('custom-category-modal-title');
+        const deleteBtn = document.getElementById('delete-custom-category-btn');
+        if (!form) return;
+        
+        const definition = categoryId
+            ? this.userProgress.getCustomCategories().find(category => category.id === categoryId)
+            : null;
+        
+        form.reset();
+        form.dataset.categoryId = definition ? definition.id : '';
+        this.showFormErrors('custom-category-errors', []);
+        
+        if (title) {
+            title.textContent = definition ? 'Edit Custom Category' : 'Create Custom Category';
+        }
+        if (deleteBtn) {
+            deleteBtn.style.display = definition ? 'inline-block' : 'none';
+        }
+        
+        if (definition) {
+            form.elements.name.value = definition.name;
+            form.elements.icon.value = definition.icon || '';
+            form.elements.color.value = definition.color || '#4fc3f7';
+            form.elements.description.value = definition.description || '';
         }
+        
+        this.showModal('custom-category-modal');
     }
 
     /**
-     * Handle category click
+     * Save the custom category editor form
      */
-    handleCategoryClick(categoryId, event = null) {
-        // Update active category
+    handleCustomCategorySave() {
+        const form = document.getElementById('custom-category-form');
+        if (!form) return;
+        
+        const existingId = form.dataset.categoryId || null;
+        const existing = existingId
+            ? this.userProgress.getCustomCategories().find(category => category.id === existingId)
+            : null;
+        const name = form.elements.name.value.trim();
+        
+        const definition = {
+            id: existing ? existing.id : this.generateCustomId('custom_category', name),
+            name: name,
+            icon: form.elements.icon.value.trim() || '⭐',
+            description: form.elements.description.value.trim(),
+            color: form.elements.color.value,
+            position: existing ? existing.position : this.skillTree.getPositionForNewCategory()
+        };
+        
+        const result = this.skillData.addCustomCategory(definition);
+        if (!result.success) {
+            this.showFormErrors('custom-category-errors', result.errors.map(error => error.message));
+            return;
+        }
+        
+        this.userProgress.saveCustomCategory(definition);
+        this.refreshAfterCustomContentChange();
+        this.hideModal('custom-category-modal');
+        
+        // Pre-select the new category if the skill editor is open underneath
+        this.populateCustomSkillOptions(definition.id);
+        
+        console.log(`Custom category saved: ${definition.name}`);
+    }
+
+    /**
+     * Delete the custom category open in the editor
+     */
+    handleCustomCategoryDelete() {
+        const form = document.getElementById('custom-category-form');
+        const categoryId = form ? form.dataset.categoryId : null;
+        if (!categoryId) return;
+        
+        if (this.skillData.getSkillsByCategory(categoryId).length > 0) {
+            this.showFormErrors('custom-category-errors', [
+                'Delete or move the skills in this category before deleting it.'
+            ]);
+            return;
+        }
+        
+        if (!confirm('Delete this custom category?')) return;
+        
+        this.skillData.removeCategory(categoryId);
+        this.userProgress.deleteCustomCategory(categoryId);
+        this.refreshAfterCustomContentChange();
+        this.hideModal('custom-category-modal');
+    }
+
+    /**
+     * Re-sync progress, connections and UI after custom content changes
+     */
+    refreshAfterCustomContentChange() {
+        this.userProgress.syncWithSkillData(this.skillData);
+        this.skillTree.optimizeConnectionPaths();
+        this.renderCustomCategoryNavigation();
+        this.updateProgressDisplay();
+        this.render();
+    }
+
+    /**
+     * Show validation errors in an editor form
+     */
+    showFormErrors(listId, messages) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+        
+        list.innerHTML = messages.map(message => `<li>${this.escapeHTML(message)}</li>`).join('');
+        list.hidden = messages.length === 0;
+    }
+
+    /**
+     * Generate a unique ID for user-authored content
+     */
+    generateCustomId(prefix, name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30);
+        return `${prefix}_${slug || 'item'}_${Date.now().toString(36)}`;
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Build the prerequisites / unlock rule section of the skill modal,
+     * marking each requirement as met or unmet
+     */
+    renderUnlockRequirements(skill) {
+        if (!skill.unlockRule && (!skill.prerequisites || skill.prerequisites.length === 0)) {
+            return '';
+        }
+        
+        const result = this.skillData.evaluateUnlockRule(this.skillData.getUnlockRule(skill));
+        const requirements = result.rule.all !== undefined ? result.children : [result];
+        const unmet = requirements.filter(requirement => !requirement.met);
+        
+        return `
+            <h4>${skill.unlockRule ? 'Unlock Requirements' : 'Prerequisites'}:</h4>
+            <ul class="unlock-requirements">
+                ${requirements.map(requirement => this.renderUnlockRequirement(requirement)).join('')}
+            </ul>
+            ${unmet.length > 0 ? `
+                <p class="unlock-hint">Still needed: ${unmet.map(requirement => this.escapeHTML(requirement.description)).join('; ')}</p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Build one evaluated unlock requirement and its nested requirements
+     */
+    renderUnlockRequirement(requirement) {
+        return `
+            <li class="${requirement.met ? 'completed' : 'incomplete'}">
+                ${this.escapeHTML(requirement.description)}${requirement.children ? ':' : ''} ${requirement.met ? '✅' : '❌'}
+                ${requirement.children ? `
+                    <ul>
+                        ${requirement.children.map(child => this.renderUnlockRequirement(child)).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Build a single achievement checkbox for the skill modal
+     */
+    renderAchievementItem(skill, achievement, index, disabled) {
+        const completedDate = this.userProgress.getAchievementCompletedDate(skill.skill_id, index);
+        return `
+            <li class="achievement-item ${completedDate ? 'completed' : ''}">
+                <label>
+                    <input type="checkbox" data-achievement-index="${index}"
+                        ${completedDate ? 'checked' : ''}
+                        ${disabled ? 'disabled' : ''}>
+                    <span>${this.escapeHTML(achievement)}</span>
+                </label>
+                ${completedDate ? `
+                    <time class="achievement-date" datetime="${completedDate}">
+                        ${new Date(completedDate).toLocaleDateString()}
+                    </time>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Build the rank ladder of a ranked skill, with each rank's achievements.
+     * Only the next rank to earn (and earned ranks) have editable achievements.
+     */
+    renderRankList(skill, rank) {
+        return `
+            <h4>Ranks:</h4>
+            <ol class="rank-list">
+                ${skill.ranks.map((skillRank, rankIndex) => {
+                    const state = rankIndex < rank ? 'earned' : (rankIndex === rank ? 'current' : 'future');
+                    const locked = state === 'future' || (state === 'current' && !skill.unlocked);
+                    return `
+                        <li class="rank-item ${state}">
+                            <div class="rank-header">
+                                <span class="rank-name">${this.escapeHTML(skillRank.name)}</span>
+                                <span class="rank-points">${skillRank.points} pts${skillRank.timeRequired ? ` · ${this.escapeHTML(skillRank.timeRequired)}` : ''}</span>
+                            </div>
+                            ${skillRank.achievements.length > 0 ? `
+                                <ul class="achievement-list">
+                                    ${skillRank.achievements.map((achievement, index) =>
+                                        this.renderAchievementItem(skill, achievement, skillRank.achievementOffset + index, locked)
+                                    ).join('')}
+                                </ul>
+                            ` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Handle checking or unchecking an achievement in the skill modal
+     */
+    handleAchievementToggle(achievementIndex, completed) {
+        if (!this.currentModal) return;
+        
+        const skill = this.currentModal;
+        this.userProgress.setAchievementCompleted(skill.skill_id, achievementIndex, completed);
+        
+        // Checking the last achievement completes the skill (or, for ranked skills, earns the next rank)
+        const nextRank = skill.ranks ? skill.ranks[this.userProgress.getSkillRank(skill.skill_id)] : null;
+        const achievementProgress = nextRank
+            ? this.userProgress.getAchievementProgress(skill.skill_id, nextRank.achievements.length, nextRank.achievementOffset)
+            : this.userProgress.getAchievementProgress(skill.skill_id, skill.achievements.length);
+        const isCompleted = this.userProgress.isSkillCompleted(skill.skill_id);
+        if (completed && achievementProgress.ratio === 1 && skill.unlocked && !isCompleted) {
+            this.handleSkillComplete();
+            return;
+        }
+        
+        this.render();
+        this.showSkillModal(skill);
+    }
+
+    /**
+     * Format minutes as hours with at most one decimal place
+     */
+    formatHours(minutes) {
+        return String(Math.round(minutes / 6) / 10);
+    }
+
+    /**
+     * Build the practice log section of the skill modal
+     */
+    renderPracticeSection(skill) {
+        const sessions = this.userProgress.getPracticeSessions(skill.skill_id);
+        // The date input works in local days; toISOString() would give the UTC date
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        
+        return `
+            <div class="practice-section">
+                <h4>Practice Log (${sessions.length} session${sessions.length === 1 ? '' : 's'}):</h4>
+                ${sessions.length > 0 ? `
+                    <ul class="practice-list">
+                        ${sessions.slice().reverse().map(session => `
+                            <li class="practice-item">
+                                <time datetime="${session.date}">${new Date(session.date).toLocaleDateString()}</time>
+                                <span class="practice-duration">${this.formatHours(session.minutes)} h</span>
+                                <span class="practice-note">${this.escapeHTML(session.note)}</span>
+                                <button type="button" class="practice-delete" data-practice-session-id="${session.id}"
+                                    aria-label="Delete practice session">✕</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <form id="practice-log-form" class="practice-log-form">
+                    <input type="date" name="date" value="${today}" max="${today}" aria-label="Practice date" required>
+                    <input type="number" name="minutes" min="1" step="1" placeholder="Minutes" aria-label="Minutes practiced" required>
+                    <input type="text" name="note" maxlength="200" placeholder="Note (optional)" aria-label="Practice note">
+                    <button type="submit" class="btn btn-secondary">Log</button>
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * Handle submission of the practice log form in the skill modal
+     */
+    handlePracticeLog(form) {
+        if (!this.currentModal) return;
+        
+        const skill = this.currentModal;
+        const session = this.userProgress.logPracticeSession(skill.skill_id, {
+            date: form.elements.date.value ? `${form.elements.date.value}T12:00:00` : null,
+            minutes: form.elements.minutes.value,
+            note: form.elements.note.value
+        });
+        
+        if (!session) return;
+        
+        this.updateProgressDisplay();
+        this.showSkillModal(skill);
+    }
+
+    /**
+     * Handle deletion of a logged practice session
+     */
+    handlePracticeDelete(sessionId) {
+        if (!this.currentModal) return;
+        
+        const skill = this.currentModal;
+        if (this.userProgress.deletePracticeSession(skill.skill_id, sessionId)) {
+            this.updateProgressDisplay();
+            this.showSkillModal(skill);
+        }
+    }
+
+    /**
+     * Handle skill completion
+     */
+    handleSkillComplete() {
+        if (!this.currentModal) return;
+        
+        const skill = this.currentModal;
+        
+        // The store change re-renders the tree, progress display and modal;
+        // the completion effect runs its own animation frames
+        if (this.progressStore.completeSkill(skill.skill_id)) {
+            this.canvasRenderer.addCompletionEffect(skill);
+        }
+    }
+
+    /**
+     * Handle skill uncompletion
+     */
+    handleSkillUncomplete() {
+        if (!this.currentModal) return;
+        
+        this.progressStore.uncompleteSkill(this.currentModal.skill_id);
+    }
+
+    /**
+     * Refresh everything that shows completion state after the progress store changes
+     */
+    handleStoreChange(event, data) {
+        this.updateProgressDisplay();
+        this.render();
+        
+        if (this.currentModal) {
+            this.showSkillModal(this.currentModal);
+        }
+    }
+
+    /**
+     * Handle progress events
+     */
+    handleProgressEvent(event, data) {
+        switch (event) {
+            case 'progress-imported':
+                console.log('Progress imported successfully');
+                break;
+            case 'progress-reset':
+                console.log('Progress reset');
+                break;
+            case 'progress-merged':
+                this.handleRemoteProgress();
+                break;
+            case 'save-status':
+                this.updateSaveStatus(data);
+                break;
+            case 'points-recalculated':
+                this.showSuccessMessage(`Skill point values were updated: your total is now ${data.currentPoints} points (was ${data.previousPoints}).`);
+                break;
+        }
+    }
+
+    /**
+     * Show whether progress is saved, being saved or failed to save
+     */
+    updateSaveStatus({ status, lastSaved, error }) {
+        const indicator = document.getElementById('save-status');
+        if (!indicator) return;
+        
+        const messages = {
+            saved: 'All changes saved',
+            saving: 'Saving…',
+            failed: 'Save failed – retrying'
+        };
+        indicator.dataset.status = status;
+        indicator.textContent = messages[status];
+        indicator.title = status === 'failed'
+            ? `Could not save progress: ${error}`
+            : (lastSaved ? `Last saved ${new Date(lastSaved).toLocaleString()}` : '');
+    }
+
+    /**
+     * Refresh the tree after progress saved in another tab was merged in
+     */
+    handleRemoteProgress() {
+        // A save of this tab's own can still merge while a shared tree is shown; refresh on close
+        if (this.sharedView) {
+            this.sharedView.remoteProgress = true;
+            return;
+        }
+        
+        // The other tab may have added or removed custom skills
+        this.loadCustomContent();
+        this.skillData.updateUnlockedSkills();
+        this.skillTree.optimizeConnectionPaths();
+        this.renderCustomCategoryNavigation();
+        this.updateProgressDisplay();
+        this.render();
+        
+        if (this.currentModal) {
+            // loadCustomContent() replaces custom skill objects, so reopen with the fresh one
+            const skill = this.skillData.getSkill(this.currentModal.skill_id);
+            if (skill) {
+                this.showSkillModal(skill);
+            } else {
+                this.hideSkillModal();
+            }
+        }
+    }
+
+    /**
+     * Update progress display
+     */
+    updateProgressDisplay() {
+        // Update total points
+        const totalPointsElement = document.getElementById('total-points');
+        if (totalPointsElement) {
+            totalPointsElement.textContent = this.userProgress.getTotalPoints();
+        }
+        
+        const practiceStats = this.userProgress.getPracticeStats(this.skillData);
+        const totalHoursElement = document.getElementById('total-hours');
+        if (totalHoursElement) {
+            totalHoursElement.textContent = practiceStats.totalHours;
+        }
+        
+        // Update category progress
+        const categoryProgressElement = document.getElementById('category-progress');
+        if (categoryProgressElement) {
+            const categories = this.skillData.getAllCategories();
+            
+            categoryProgressElement.innerHTML = categories.map(category => {
+                const progress = this.userProgress.getCategoryProgress(category.id);
+                const practice = practiceStats.byCategory[category.id];
+                return `
+                    <div class="category-progress-item">
+                        <div class="category-name">${this.escapeHTML(category.name)}</div>
+                        <div class="progress-bar">
+                            <div class="progress-fill ${this.escapeHTML(category.id)}" style="width: ${progress.percentage}%${category.custom ? `; background: ${this.escapeHTML(category.color)}` : ''}"></div>
+                        </div>
+                        <div class="progress-percentage">${progress.percentage}%</div>
+                        ${practice && practice.loggedMinutes > 0 ? `
+                            <div class="category-hours">${practice.loggedHours} / ${practice.estimatedHours} h practiced</div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    /**
+     * Handle zoom in
+     */
+    handleZoomIn() {
+        if (this.canvasRenderer) {
+            const canvas = this.canvasRenderer.canvas;
+            this.canvasRenderer.zoom(1.2, canvas.width / 2, canvas.height / 2);
+            this.render();
+        }
+    }
+
+    /**
+     * Handle zoom out
+     */
+    handleZoomOut() {
+        if (this.canvasRenderer) {
+            const canvas = this.canvasRenderer.canvas;
+            this.canvasRenderer.zoom(0.8, canvas.width / 2, canvas.height / 2);
+            this.render();
+        }
+    }
+
+    /**
+     * Handle reset view
+     */
+    handleResetView() {
+        if (this.canvasRenderer) {
+            this.canvasRenderer.resetView();
+            this.render();
+        }
+    }
+
+    /**
+     * Handle arrange layout
+     */
+    handleArrangeLayout() {
+        if (this.skillTree) {
+            // Restart D3 force simulation for re-arranging
+            this.skillTree.restartSimulation();
+            
+            console.log('Skill tree layout rearranged using D3 force simulation');
+        }
+    }
+
+    /**
+     * Handle category click
+     */
+    handleCategoryClick(categoryId, event = null) {
+        // Update active category
         const categoryButtons = document.querySelectorAll('.category-btn');
         categoryButtons.forEach(btn => {
             if (btn.dataset.category === categoryId) {
@@ -544,33 +1437,299 @@ class SkillTreeApp {
             }
         });
         
-        // Center view on category
-        if (this.canvasRenderer) {
-            this.canvasRenderer.centerOnCategory(categoryId);
+        // Center view on category
+        if (this.canvasRenderer) {
+            this.canvasRenderer.centerOnCategory(categoryId);
+        }
+    }
+
+    /**
+     * Handle export: show the export options
+     */
+    handleExport() {
+        const encrypt = document.getElementById('export-encrypt');
+        if (!encrypt) {
+            this.performExport();
+            return;
+        }
+        
+        const jsonFormat = document.querySelector('input[name="export-format"][value="json"]');
+        if (jsonFormat) {
+            jsonFormat.checked = true;
+        }
+        encrypt.checked = false;
+        ['export-passphrase', 'export-passphrase-confirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.updateExportPassphraseFields();
+        this.showFormErrors('export-errors', []);
+        this.showModal('export-modal');
+    }
+
+    /**
+     * Chosen export format: 'json', 'csv' or 'csv-summary'
+     */
+    getExportFormat() {
+        const format = document.querySelector('input[name="export-format"]:checked');
+        return format ? format.value : 'json';
+    }
+
+    /**
+     * Show the passphrase fields only when encryption is chosen.
+     * Only JSON exports can be encrypted.
+     */
+    updateExportPassphraseFields() {
+        const encrypt = document.getElementById('export-encrypt');
+        const fields = document.getElementById('export-passphrase-fields');
+        if (encrypt) {
+            encrypt.disabled = !this.importExport.crypto.isAvailable() || this.getExportFormat() !== 'json';
+            if (encrypt.disabled) {
+                encrypt.checked = false;
+            }
+        }
+        if (encrypt && fields) {
+            fields.hidden = !encrypt.checked;
+        }
+    }
+
+    /**
+     * Export from the options modal in the chosen format, encrypting when a passphrase was chosen
+     */
+    async handleExportSubmit() {
+        const encrypt = document.getElementById('export-encrypt');
+        let passphrase = null;
+        
+        if (encrypt && encrypt.checked) {
+            passphrase = document.getElementById('export-passphrase').value;
+            const error = this.importExport.crypto.validatePassphrase(
+                passphrase,
+                document.getElementById('export-passphrase-confirm').value
+            );
+            if (error) {
+                this.showFormErrors('export-errors', [error]);
+                return;
+            }
+        }
+        
+        if (await this.performExport(passphrase, this.getExportFormat())) {
+            this.hideModal('export-modal');
+        }
+    }
+
+    /**
+     * Download the progress file, encrypted with the passphrase if one is given
+     */
+    async performExport(passphrase = null, format = 'json') {
+        try {
+            const result = await this.importExport.downloadProgress({ passphrase, format });
+            console.log(`Progress exported successfully as ${result.filename}`);
+            return true;
+        } catch (error) {
+            console.error('Error exporting progress:', error);
+            this.showErrorMessage('Failed to export progress. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Copy a link to the current tree; the link holds only which skills are completed
+     */
+    async handleShareLink() {
+        const result = await this.importExport.createShareableLink();
+        if (!result.success) {
+            this.showErrorMessage('Failed to create a share link. Please try again.');
+            return;
+        }
+        
+        const note = result.omitted > 0 ? ' Custom skills are not included.' : '';
+        try {
+            await navigator.clipboard.writeText(result.url);
+            this.showSuccessMessage(`Share link copied (${result.skillCount} completed skill${result.skillCount === 1 ? '' : 's'}).${note}`);
+        } catch (error) {
+            // Clipboard access can be denied; let the user copy it by hand
+            prompt(`Copy this link to share your skill tree.${note}`, result.url);
+        }
+    }
+
+    /**
+     * Open the share link in the URL fragment, if there is one
+     */
+    async openSharedLink() {
+        const token = this.importExport.shareLink.getToken();
+        if (!token) {
+            if (this.sharedView) {
+                this.closeSharedView();
+            }
+            return;
+        }
+        
+        const decoded = await this.importExport.shareLink.decode(token);
+        if (!decoded.success) {
+            this.clearSharedLinkFromURL();
+            this.showErrorMessage(decoded.error);
+            return;
+        }
+        this.enterSharedView(decoded.completedSkills);
+    }
+
+    /**
+     * Show a shared tree read-only. The skill data reads completion from a
+     * separate in-memory store, so the user's own progress is never touched.
+     */
+    enterSharedView(completedSkills) {
+        const store = new ProgressStore({ completedSkills });
+        this.sharedView = {
+            completedSkills,
+            store,
+            progress: {
+                isSkillCompleted: skillId => store.isCompleted(skillId),
+                getSkillRank: skillId => store.getRank(skillId),
+                getAchievementProgress: (skillId, total) => ({ completed: 0, total, ratio: 0 })
+            }
+        };
+        this.skillData.setProgressStore(store);
+        this.userProgress.sync.pause();
+        this.hideSkillModal();
+        
+        const summary = document.getElementById('shared-view-summary');
+        if (summary) {
+            const points = this.userProgress.scoring.score({ completedSkills }).totalPoints;
+            const total = this.importExport.shareLink.getCanonicalOrder().length;
+            summary.textContent = `Viewing a shared skill tree (read-only): ${completedSkills.length} of ${total} skills completed, ${points} points.`;
+        }
+        const compare = document.getElementById('shared-view-compare');
+        if (compare) {
+            compare.hidden = true;
+        }
+        const banner = document.getElementById('shared-view-banner');
+        if (banner) {
+            banner.hidden = false;
+        }
+        
+        this.canvasRenderer.setDisplayedProgress(this.sharedView.progress);
+    }
+
+    /**
+     * Leave the shared view and show the user's own tree again
+     */
+    closeSharedView() {
+        if (!this.sharedView) return;
+        
+        const { remoteProgress } = this.sharedView;
+        this.sharedView = null;
+        this.skillData.setProgressStore(this.progressStore);
+        this.clearSharedLinkFromURL();
+        
+        const banner = document.getElementById('shared-view-banner');
+        if (banner) {
+            banner.hidden = true;
         }
+        this.canvasRenderer.setDisplayedProgress(null);
+        this.updateProgressDisplay();
+        if (remoteProgress) {
+            this.handleRemoteProgress();
+        }
+        this.userProgress.sync.resume();
     }
 
     /**
-     * Handle export
+     * Remove the share token from the address bar without reloading
      */
-    handleExport() {
+    clearSharedLinkFromURL() {
+        if (this.importExport.shareLink.getToken()) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    /**
+     * Show or hide how the shared tree differs from the user's own
+     */
+    toggleSharedComparison() {
+        const compare = document.getElementById('shared-view-compare');
+        if (!compare || !this.sharedView) return;
+        
+        if (!compare.hidden) {
+            compare.hidden = true;
+            return;
+        }
+        
+        const comparison = this.importExport.compareSharedProgress(this.sharedView.completedSkills);
+        const skillList = skillIds => skillIds.length > 0
+            ? `<ul>${skillIds.map(skillId => {
+                const skill = this.skillData.getSkill(skillId);
+                return `<li>${this.escapeHTML(skill ? skill.name : skillId)}</li>`;
+            }).join('')}</ul>`
+            : '<p>None</p>';
+        
+        compare.innerHTML = `
+            <p>Points: shared ${comparison.theirPoints} · yours ${comparison.myPoints}. Both completed: ${comparison.both.length}.</p>
+            <p>Only in the shared tree (${comparison.onlyTheirs.length}):</p>
+            ${skillList(comparison.onlyTheirs)}
+            <p>Only in yours (${comparison.onlyMine.length}):</p>
+            ${skillList(comparison.onlyMine)}
+        `;
+        compare.hidden = false;
+    }
+
+    /**
+     * Import the shared tree through the usual import preview (merge or replace)
+     */
+    importSharedProgress() {
+        if (!this.sharedView) return;
+        
+        const envelope = this.importExport.createSharedEnvelope(this.sharedView.completedSkills);
+        this.closeSharedView();
+        this.pendingImport = envelope;
+        this.showImportPreview();
+    }
+
+    /**
+     * Show the image export options
+     */
+    showImageExport() {
+        this.showFormErrors('image-export-errors', []);
+        this.updateImageExportFields();
+        this.showModal('image-export-modal');
+    }
+
+    /**
+     * Only PNG exports have a pixel size
+     */
+    updateImageExportFields() {
+        const format = document.querySelector('input[name="image-format"]:checked');
+        const sizeFields = document.getElementById('image-export-size-fields');
+        if (sizeFields) {
+            sizeFields.hidden = format && format.value !== 'png';
+        }
+    }
+
+    /**
+     * Export the whole tree as a PNG at the chosen width, or as SVG
+     */
+    async handleImageExportSubmit() {
+        const format = document.querySelector('input[name="image-format"]:checked');
+        const date = new Date().toISOString().split('T')[0];
+        const baseName = `skill-tree-${this.userProgress.profiles.getProfileSlug()}-${date}`;
+        // Export what the tree shows, e.g. a shared tree rather than the user's own
+        const progress = this.canvasRenderer.getDisplayedProgress();
+        
         try {
-            const progressData = this.userProgress.exportProgress();
-            const blob = new Blob([progressData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `skill-tree-progress-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            console.log('Progress exported successfully');
+            if (format && format.value === 'svg') {
+                const svg = this.canvasRenderer.exportSVG(this.skillData, progress);
+                this.importExport.downloadFile(svg, `${baseName}.svg`, 'image/svg+xml');
+            } else {
+                const width = Number(document.getElementById('image-export-width').value);
+                if (!Number.isInteger(width) || width < 500) {
+                    this.showFormErrors('image-export-errors', ['Width must be a whole number of at least 500 pixels']);
+                    return;
+                }
+                const blob = await this.canvasRenderer.exportPNG(width, this.skillData, progress);
+                this.importExport.downloadFile(blob, `${baseName}.png`, 'image/png');
+            }
+            this.hideModal('image-export-modal');
         } catch (error) {
-            console.error('Error exporting progress:', error);
-            this.showErrorMessage('Failed to export progress. Please try again.');
+            console.error('Error exporting image:', error);
+            this.showFormErrors('image-export-errors', [error.message]);
         }
     }
 
@@ -578,6 +1737,11 @@ class SkillTreeApp {
      * Handle clear all progress
      */
     handleClearAll() {
+        if (this.sharedView) {
+            this.showErrorMessage('Close the shared skill tree before clearing your progress.');
+            return;
+        }
+        
         if (this.userProgress) {
             const success = this.userProgress.resetProgress();
             if (success) {
@@ -587,43 +1751,254 @@ class SkillTreeApp {
     }
 
     /**
-     * Handle import
+     * Handle import: read the chosen file and preview it before anything changes
      */
     handleImport() {
         const fileInput = document.getElementById('import-file');
         if (!fileInput) return;
         
+        if (this.sharedView) {
+            this.showErrorMessage('Close the shared skill tree before importing progress.');
+            return;
+        }
+        
         fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (!file) return;
             
             const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const success = this.userProgress.importProgress(event.target.result);
-                    if (success) {
-                        // Sync with skill data
-                        this.userProgress.syncWithSkillData(this.skillData);
-                        
-                        // Update skill data with imported progress
-                        const importedData = JSON.parse(event.target.result);
-                        this.skillData.importData(importedData);
-                        
-                        this.showSuccessMessage('Progress imported successfully!');
-                    } else {
-                        this.showErrorMessage('Failed to import progress. Please check the file format.');
+            reader.onload = async (event) => {
+                let text = event.target.result;
+                if (file.name.toLowerCase().endsWith('.csv')) {
+                    this.importCSV(text);
+                    return;
+                }
+                if (this.importExport.crypto.isEncrypted(text)) {
+                    const decrypted = await this.importExport.crypto.decryptWithPrompt(
+                        text, error => this.requestImportPassphrase(file.name, error)
+                    );
+                    if (!decrypted.success) {
+                        if (!decrypted.cancelled) {
+                            this.showErrorMessage(`Failed to import progress: ${decrypted.error}`);
+                        }
+                        return;
                     }
-                } catch (error) {
-                    console.error('Error importing progress:', error);
-                    this.showErrorMessage('Failed to import progress. Invalid file format.');
+                    text = decrypted.data;
                 }
+                
+                this.pendingImport = text;
+                this.showImportPreview();
             };
             reader.readAsText(file);
+            fileInput.value = '';
         }, { once: true });
         
         fileInput.click();
     }
 
+    /**
+     * Ask for the passphrase of an encrypted import file.
+     * Resolves with the passphrase, or null when the user cancels.
+     */
+    requestImportPassphrase(fileName, error = null) {
+        const intro = document.getElementById('import-passphrase-intro');
+        const input = document.getElementById('import-passphrase');
+        if (!intro || !input) {
+            return Promise.resolve(null);
+        }
+        
+        intro.textContent = `"${fileName}" is encrypted. Enter the passphrase it was exported with.`;
+        input.value = '';
+        this.showFormErrors('import-passphrase-errors', error ? [error] : []);
+        this.showModal('import-passphrase-modal');
+        
+        return new Promise(resolve => {
+            this.pendingPassphraseRequest = resolve;
+        });
+    }
+
+    /**
+     * Close the passphrase prompt, answering the pending request
+     */
+    resolvePassphraseRequest(passphrase) {
+        const resolve = this.pendingPassphraseRequest;
+        this.pendingPassphraseRequest = null;
+        this.hideModal('import-passphrase-modal');
+        if (resolve) {
+            resolve(passphrase);
+        }
+    }
+
+    /**
+     * Import a skills CSV after confirming which skills it marks complete
+     */
+    importCSV(text) {
+        const preview = this.importExport.previewCSV(text);
+        if (preview.error) {
+            this.showErrorMessage(`Failed to import CSV: ${preview.error}`);
+            return;
+        }
+        if (preview.added.length === 0) {
+            const skipped = preview.unmatched.length > 0 ? ` ${preview.unmatched.length} row${preview.unmatched.length === 1 ? '' : 's'} matched no skill.` : '';
+            this.showSuccessMessage(`No new skills to mark complete.${skipped}`);
+            return;
+        }
+        
+        const lines = [`Mark ${preview.added.length} skill${preview.added.length === 1 ? '' : 's'} complete?`];
+        if (preview.alreadyCompleted.length > 0) {
+            lines.push(`${preview.alreadyCompleted.length} listed skill${preview.alreadyCompleted.length === 1 ? ' is' : 's are'} already completed.`);
+        }
+        if (preview.unmatched.length > 0) {
+            lines.push(`${preview.unmatched.length} row${preview.unmatched.length === 1 ? '' : 's'} will be skipped:`);
+            preview.unmatched.slice(0, 10).forEach(row => lines.push(`  line ${row.line}: ${row.value} (${row.reason})`));
+        }
+        lines.push('You can undo this with Ctrl+Z.');
+        if (!confirm(lines.join('\n'))) return;
+        
+        const result = this.importExport.importCSV(text);
+        if (result.success) {
+            this.updateProgressDisplay();
+            this.render();
+            this.showSuccessMessage(result.message);
+        } else {
+            this.showErrorMessage(`Failed to import CSV: ${result.error}`);
+        }
+    }
+
+    /**
+     * Import options chosen in the preview modal
+     */
+    getImportOptions() {
+        const mode = document.querySelector('input[name="import-mode"]:checked');
+        const keepDate = document.getElementById('import-keep-date');
+        return {
+            mode: mode ? mode.value : 'merge',
+            keepDate: keepDate ? keepDate.value : this.userProgress.merger.DEFAULT_KEEP_DATE
+        };
+    }
+
+    /**
+     * Show (or refresh) the import preview for the pending file
+     */
+    showImportPreview() {
+        const summary = document.getElementById('import-preview-summary');
+        if (!summary || this.pendingImport === null) return;
+        
+        // Each new file starts from the merge's default date policy
+        const modal = document.getElementById('import-preview-modal');
+        const opening = modal && modal.getAttribute('aria-hidden') !== 'false';
+        const keepDate = document.getElementById('import-keep-date');
+        if (opening && keepDate) {
+            keepDate.value = this.userProgress.merger.DEFAULT_KEEP_DATE;
+        }
+        
+        const options = this.getImportOptions();
+        const preview = this.importExport.previewImport(this.pendingImport, options);
+        if (preview.error) {
+            this.pendingImport = null;
+            this.hideModal('import-preview-modal');
+            this.showErrorMessage(`Failed to import progress: ${preview.error}`);
+            return;
+        }
+        
+        if (keepDate) {
+            keepDate.disabled = options.mode !== 'merge';
+        }
+        summary.innerHTML = this.renderImportPreview(preview);
+        
+        if (opening) {
+            this.showModal('import-preview-modal');
+        }
+    }
+
+    /**
+     * Render an import preview: skills gained or lost, conflicts and points
+     */
+    renderImportPreview(preview) {
+        const skillName = id => {
+            const skill = this.skillData.getSkill(id);
+            return this.escapeHTML(skill ? skill.name : id);
+        };
+        const formatDate = date => new Date(date).toLocaleDateString();
+        const lines = [];
+        
+        lines.push(`<p>${preview.added.length} skill${preview.added.length === 1 ? '' : 's'} will be added.</p>`);
+        if (preview.mode === 'replace' && preview.removed.length > 0) {
+            lines.push(`<p class="import-warning">${preview.removed.length} completed skill${preview.removed.length === 1 ? '' : 's'} will be lost: ${preview.removed.map(skillName).join(', ')}</p>`);
+        }
+        
+        if (preview.mode === 'merge') {
+            if (preview.dateConflicts.length > 0) {
+                lines.push(`<p>${preview.dateConflicts.length} skill${preview.dateConflicts.length === 1 ? ' has' : 's have'} different completion dates:</p>`);
+                lines.push(`<ul class="import-conflicts">${preview.dateConflicts.map(conflict => `
+                    <li>${skillName(conflict.skillId)}: yours ${formatDate(conflict.current)}, file ${formatDate(conflict.imported)} → keeps ${formatDate(conflict.kept)}</li>
+                `).join('')}</ul>`);
+            }
+            if (preview.rankConflicts.length > 0) {
+                lines.push(`<p>${preview.rankConflicts.length} partially ranked skill${preview.rankConflicts.length === 1 ? '' : 's'} will keep the higher rank.</p>`);
+            }
+            if (preview.customConflicts.length > 0) {
+                lines.push(`<p>${preview.customConflicts.length} custom ${preview.customConflicts.length === 1 ? 'item differs' : 'items differ'} from yours; your version is kept: ${preview.customConflicts.map(conflict => this.escapeHTML(conflict.name || conflict.id)).join(', ')}</p>`);
+            }
+        }
+        
+        if (preview.resultPoints !== null) {
+            lines.push(`<p class="import-points">Points: ${preview.currentPoints} → ${preview.resultPoints}</p>`);
+        }
+        
+        if (!preview.check.consistent) {
+            lines.push('<p class="import-warning">This file looks edited or out of date. Points will be recalculated from the skill tree:</p>');
+            lines.push(`<ul class="import-conflicts">${preview.check.issues.map(issue => `<li>${this.escapeHTML(issue.message)}</li>`).join('')}</ul>`);
+        }
+        
+        if (preview.legacyFormat) {
+            lines.push('<p>This file uses an older export format and will be converted.</p>');
+        }
+        if (preview.migrations.length > 0) {
+            lines.push(`<p>The file will be upgraded from version ${this.escapeHTML(preview.fromVersion)}.</p>`);
+        }
+        return lines.join('');
+    }
+
+    /**
+     * Apply the previewed import with the chosen options
+     */
+    applyPendingImport() {
+        if (this.pendingImport === null) return;
+        
+        const options = this.getImportOptions();
+        const result = this.importExport.importProgress(this.pendingImport, options);
+        this.pendingImport = null;
+        this.hideModal('import-preview-modal');
+        
+        if (result.success) {
+            // Load the imported custom skills
+            this.loadCustomContent();
+            this.renderCustomCategoryNavigation();
+            this.updateProgressDisplay();
+            this.render();
+            
+            const upgraded = result.migrations.length > 0
+                ? ` (upgraded from version ${result.fromVersion})`
+                : '';
+            const recalculated = result.warnings.length > 0
+                ? ' Points were recalculated because the file\'s totals did not match its skills.'
+                : '';
+            const verb = options.mode === 'merge' ? 'merged' : 'imported';
+            this.showSuccessMessage(`Progress ${verb} successfully!${upgraded}${recalculated}`);
+        } else {
+            this.showErrorMessage(`${result.error}. Please check the file format.`);
+        }
+    }
+
+    /**
+     * Discard the pending import
+     */
+    cancelPendingImport() {
+        this.pendingImport = null;
+        this.hideModal('import-preview-modal');
+    }
+
     /**
      * Handle keyboard shortcuts
      */
@@ -660,7 +2035,336 @@ class SkillTreeApp {
                     this.handleResetView();
                 }
                 break;
+            case 'z':
+            case 'Z':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.handleRedo();
+                    } else {
+                        this.handleUndo();
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * Handle undo of the last progress change
+     */
+    handleUndo() {
+        if (this.sharedView) return;
+        const entry = this.userProgress.history.undo();
+        if (entry) {
+            this.afterHistoryChange(entry, 'Undid');
+        }
+    }
+
+    /**
+     * Handle redo of the last undone progress change
+     */
+    handleRedo() {
+        if (this.sharedView) return;
+        const entry = this.userProgress.history.redo();
+        if (entry) {
+            this.afterHistoryChange(entry, 'Redid');
+        }
+    }
+
+    /**
+     * Refresh the UI after undo/redo and announce what changed
+     */
+    afterHistoryChange(entry, verb) {
+        // Snapshots can change custom skills and categories as well as completion
+        if (entry.type === 'snapshot') {
+            this.loadCustomContent();
+            this.refreshAfterCustomContentChange();
+        }
+        
+        const status = document.getElementById('history-status');
+        if (status) {
+            status.textContent = `${verb}: ${this.describeHistoryEntry(entry)}`;
+        }
+        console.log(`${verb}: ${this.describeHistoryEntry(entry)}`);
+    }
+
+    /**
+     * Fill the header profile switcher with the saved profiles and profile actions
+     */
+    renderProfileSwitcher() {
+        const select = document.getElementById('profile-select');
+        if (!select) return;
+        
+        const profiles = this.userProgress.profiles;
+        const actions = [
+            ['__new__', 'New profile…'],
+            ['__rename__', 'Rename profile…']
+        ];
+        if (profiles.getProfiles().length > 1) {
+            actions.push(['__delete__', 'Delete profile…']);
+        }
+        
+        select.innerHTML = `
+            ${profiles.getProfiles().map(profile => `
+                <option value="${this.escapeHTML(profile.id)}">${this.escapeHTML(profile.name)}</option>
+            `).join('')}
+            <option disabled>──────────</option>
+            ${actions.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        `;
+        select.value = profiles.activeProfileId;
+    }
+
+    /**
+     * Handle a choice in the profile switcher: switch, create, rename or delete
+     */
+    async handleProfileSelect(value) {
+        const profiles = this.userProgress.profiles;
+        const active = profiles.getActiveProfile();
+        
+        if (this.sharedView) {
+            this.showErrorMessage('Close the shared skill tree before changing profiles.');
+            this.renderProfileSwitcher();
+            return;
+        }
+        
+        try {
+            if (value === '__new__') {
+                const name = prompt('Name for the new profile:');
+                if (name !== null) {
+                    const result = await profiles.createProfile(name);
+                    if (result.success) {
+                        await this.switchProfile(result.profile.id);
+                    } else {
+                        this.showErrorMessage(result.error);
+                    }
+                }
+            } else if (value === '__rename__') {
+                const name = prompt('New name for this profile:', active.name);
+                if (name !== null) {
+                    const result = await profiles.renameProfile(active.id, name);
+                    if (!result.success) {
+                        this.showErrorMessage(result.error);
+                    }
+                }
+            } else if (value === '__delete__') {
+                if (confirm(`Delete profile "${active.name}" and all of its progress? This cannot be undone.`)) {
+                    const next = profiles.getProfiles().find(profile => profile.id !== active.id);
+                    await this.switchProfile(next.id);
+                    const result = await profiles.deleteProfile(active.id);
+                    if (!result.success) {
+                        this.showErrorMessage(result.error);
+                    }
+                }
+            } else {
+                await this.switchProfile(value);
+            }
+        } catch (error) {
+            console.error('Error updating profiles:', error);
+            this.showErrorMessage('Failed to update profiles. Please try again.');
+        }
+        
+        this.renderProfileSwitcher();
+    }
+
+    /**
+     * Load another profile's progress and custom content into the tree
+     */
+    async switchProfile(profileId) {
+        // The open skill may be a custom skill that the next profile does not have
+        this.hideSkillModal();
+        
+        const switched = await this.userProgress.switchProfile(profileId);
+        if (switched) {
+            this.loadCustomContent();
+            this.refreshAfterCustomContentChange();
+            this.updateHistoryButtons();
+        }
+        return switched;
+    }
+
+    /**
+     * Show the progress snapshots modal
+     */
+    showSnapshots() {
+        const list = document.getElementById('snapshot-list');
+        if (!list) return;
+        
+        const snapshots = this.userProgress.snapshots.getSnapshots();
+        list.innerHTML = snapshots.length > 0
+            ? snapshots.map(snapshot => this.renderSnapshotItem(snapshot)).join('')
+            : '<li class="snapshot-empty">No snapshots yet.</li>';
+        
+        this.showModal('snapshots-modal');
+        const closeBtn = document.getElementById('close-snapshots-modal');
+        if (closeBtn) {
+            setTimeout(() => closeBtn.focus(), 100);
+        }
+    }
+
+    /**
+     * Render one snapshot with what has changed since it was taken
+     */
+    renderSnapshotItem(snapshot) {
+        const diff = this.userProgress.snapshots.diff(snapshot.id);
+        const skillNames = ids => ids
+            .map(id => this.skillData.getSkill(id))
+            .map((skill, index) => this.escapeHTML(skill ? skill.name : ids[index]))
+            .join(', ');
+        const points = diff.pointsDelta === 0
+            ? 'no change in points'
+            : `${diff.pointsDelta > 0 ? '+' : ''}${diff.pointsDelta} points`;
+        const unchanged = diff.gained.length === 0 && diff.lost.length === 0;
+        
+        return `
+            <li class="snapshot-item">
+                <div class="snapshot-header">
+                    <span class="snapshot-label">${this.escapeHTML(snapshot.label)}</span>
+                    <time datetime="${snapshot.createdAt}">${new Date(snapshot.createdAt).toLocaleString()}</time>
+                </div>
+                <div class="snapshot-diff">
+                    ${unchanged ? '<span>Same skills as now</span>' : ''}
+                    ${diff.gained.length > 0 ? `<span class="snapshot-gained" title="${skillNames(diff.gained)}">+${diff.gained.length} completed since</span>` : ''}
+                    ${diff.lost.length > 0 ? `<span class="snapshot-lost" title="${skillNames(diff.lost)}">−${diff.lost.length} no longer completed</span>` : ''}
+                    <span class="snapshot-points">${diff.snapshotPoints} → ${diff.currentPoints} (${points})</span>
+                </div>
+                <button type="button" class="action-btn secondary" data-restore-snapshot="${snapshot.id}">Restore</button>
+            </li>
+        `;
+    }
+
+    /**
+     * Restore a progress snapshot after confirmation
+     */
+    handleSnapshotRestore(snapshotId) {
+        const snapshot = this.userProgress.snapshots.getSnapshot(snapshotId);
+        if (!snapshot) return;
+        
+        if (this.sharedView) {
+            this.showErrorMessage('Close the shared skill tree before restoring a snapshot.');
+            return;
+        }
+        
+        const when = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Restore progress from ${when}? You can undo this with Ctrl+Z.`)) {
+            return;
+        }
+        
+        if (this.userProgress.snapshots.restore(snapshotId)) {
+            this.loadCustomContent();
+            this.refreshAfterCustomContentChange();
+            this.hideModal('snapshots-modal');
+            this.showSuccessMessage(`Progress restored from ${when}.`);
+        } else {
+            this.showErrorMessage('Failed to restore snapshot.');
+        }
+    }
+
+    /**
+     * Generate the progress report and show it
+     */
+    showReport() {
+        const preview = document.getElementById('report-preview');
+        if (!preview) return;
+
+        // The report describes the user's own progress, not the shared tree on screen
+        if (this.sharedView) {
+            this.showErrorMessage('Close the shared skill tree to see your progress report.');
+            return;
+        }
+
+        this.currentReport = this.report.collect();
+        preview.innerHTML = this.report.toHTML(this.currentReport);
+
+        this.showModal('report-modal');
+        const closeBtn = document.getElementById('close-report-modal');
+        if (closeBtn) {
+            setTimeout(() => closeBtn.focus(), 100);
+        }
+    }
+
+    /**
+     * Print the report on its own; the browser print dialog can save it as PDF
+     */
+    printReport() {
+        const printArea = document.getElementById('print-report');
+        if (!printArea || !this.currentReport) return;
+
+        printArea.innerHTML = this.report.toHTML(this.currentReport);
+        document.body.classList.add('printing-report');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-report');
+            printArea.innerHTML = '';
+        }, { once: true });
+        window.print();
+    }
+
+    /**
+     * Download the report as Markdown or as a standalone HTML document
+     */
+    async downloadReport(format) {
+        if (!this.currentReport) return;
+
+        try {
+            if (format === 'markdown') {
+                this.importExport.downloadFile(
+                    this.report.toMarkdown(this.currentReport),
+                    this.report.generateFilename('md'),
+                    'text/markdown'
+                );
+                return;
+            }
+
+            // Inline the report stylesheet so the file looks the same when opened elsewhere
+            let styles = '';
+            try {
+                const response = await fetch('css/report.css');
+                styles = response.ok ? await response.text() : '';
+            } catch (error) {
+                console.warn('Report stylesheet unavailable; saving unstyled report:', error);
+            }
+            this.importExport.downloadFile(
+                this.report.toHTMLDocument(this.currentReport, styles),
+                this.report.generateFilename('html'),
+                'text/html'
+            );
+        } catch (error) {
+            console.error('Error downloading report:', error);
+            this.showErrorMessage('Failed to download the report. Please try again.');
+        }
+    }
+
+    /**
+     * Describe a history entry for buttons and announcements
+     */
+    describeHistoryEntry(entry) {
+        if (entry.type !== 'rank') {
+            return entry.label;
         }
+        
+        const skill = this.skillData.getSkill(entry.skillId);
+        const name = skill ? skill.name : entry.skillId;
+        return `${entry.to > entry.from ? 'complete' : 'uncomplete'} ${name}`;
+    }
+
+    /**
+     * Enable undo/redo buttons and describe the next step in their titles
+     */
+    updateHistoryButtons() {
+        const history = this.userProgress.history;
+        const buttons = [
+            { id: 'undo-btn', entry: history.peekUndo(), label: 'Undo', shortcut: 'Ctrl+Z' },
+            { id: 'redo-btn', entry: history.peekRedo(), label: 'Redo', shortcut: 'Ctrl+Shift+Z' }
+        ];
+        
+        buttons.forEach(({ id, entry, label, shortcut }) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            
+            button.disabled = !entry;
+            button.title = entry
+                ? `${label} ${this.describeHistoryEntry(entry)} (${shortcut})`
+                : `${label} (${shortcut})`;
+        });
     }
 
     /**
@@ -670,7 +2374,7 @@ class SkillTreeApp {
         if (this.canvasRenderer && this.skillData && this.userProgress) {
             // Force resize before rendering in case canvas wasn't sized properly
             this.canvasRenderer.resizeCanvas();
-            this.canvasRenderer.render(this.skillData, this.userProgress);
+            this.canvasRenderer.render(this.skillData, this.sharedView ? this.sharedView.progress : this.userProgress);
         }
     }
 
@@ -13,6 +13,7 @@ class CanvasRenderer {
         this.width = 0;
         this.height = 0;
         this.pixelRatio = window.devicePixelRatio || 1;
+        this.displayedProgress = null; // Progress shown instead of the user's own (a shared tree)
         
         // Visual settings
         this.nodeRadius = 25;
@@ -20,6 +21,12 @@ class CanvasRenderer {
         this.connectionWidth = 2;
         this.fontFamily = 'Segoe UI, Roboto, Arial, sans-serif';
         
+        // Image export settings
+        this.exportBackground = '#1a1a2e';
+        this.exportPadding = 80; // World units around the tree (room for labels and rank pips)
+        this.maxExportDimension = 16384; // Largest canvas side most browsers allow
+        this.maxExportArea = 16384 * 16384;
+        
         // Animation settings
         this.animationFrameId = null;
         this.particles = [];
@@ -438,7 +445,7 @@ class CanvasRenderer {
      */
     render(skillData = null, userProgress = null) {
         if (!skillData) skillData = window.skillData;
-        if (!userProgress) userProgress = window.userProgress;
+        if (!userProgress) userProgress = this.getDisplayedProgress();
         
         if (!skillData || !skillData.initialized) {
             this.renderLoadingScreen();
@@ -454,6 +461,37 @@ class CanvasRenderer {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.width, this.height);
         
+        this.renderScene(skillData, userProgress);
+        
+        // Render particles (in screen space)
+        this.renderParticles();
+        
+        // Continue animation loop if there are particles
+        if (this.particles.length > 0) {
+            this.animationFrameId = requestAnimationFrame(() => this.render(skillData, userProgress));
+        }
+    }
+
+    /**
+     * Show other progress (such as a shared tree) instead of the user's own; null shows the user's again.
+     * The progress needs isSkillCompleted(), getSkillRank() and getAchievementProgress().
+     */
+    setDisplayedProgress(progress) {
+        this.displayedProgress = progress;
+        this.render();
+    }
+
+    /**
+     * Progress the tree is drawn from
+     */
+    getDisplayedProgress() {
+        return this.displayedProgress || window.userProgress;
+    }
+
+    /**
+     * Render the tree (background, connections, nodes and labels) with the current view
+     */
+    renderScene(skillData, userProgress) {
         // Save context state
         this.ctx.save();
         
@@ -477,14 +515,6 @@ class CanvasRenderer {
         
         // Restore context state
         this.ctx.restore();
-        
-        // Render particles (in screen space)
-        this.renderParticles();
-        
-        // Continue animation loop if there are particles
-        if (this.particles.length > 0) {
-            this.animationFrameId = requestAnimationFrame(() => this.render(skillData, userProgress));
-        }
     }
 
     /**
@@ -531,42 +561,9 @@ class CanvasRenderer {
     renderConnections(skillData, userProgress) {
         this.ctx.lineWidth = this.connectionWidth; // Keep line width constant
         
-        // Use all connections since we removed collapse functionality
-        let connections = [];
-        if (window.skillTree) {
-            connections = window.skillTree.getSkillConnections();
-        } else {
-            // Fallback to all connections
-            for (const skill of skillData.getAllSkills()) {
-                if (skill.unlocks && skill.unlocks.length > 0) {
-                    for (const unlockedSkillId of skill.unlocks) {
-                        const unlockedSkill = skillData.getSkill(unlockedSkillId);
-                        if (unlockedSkill) {
-                            connections.push({
-                                from: skill,
-                                to: unlockedSkill,
-                                active: userProgress && userProgress.isSkillCompleted(skill.skill_id),
-                                type: skill.category === unlockedSkill.category ? 'category' : 'cross-category'
-                            });
-                        }
-                    }
-                }
-            }
-        }
-        
-        for (const connection of connections) {
+        for (const connection of this.getConnections(skillData, userProgress)) {
             // Determine connection color and style
-            const isCompleted = userProgress && userProgress.isSkillCompleted(connection.from.skill_id);
-            const isUnlockedCompleted = userProgress && userProgress.isSkillCompleted(connection.to.skill_id);
-            
-            let strokeStyle, strokeAlpha;
-            if (isCompleted) {
-                strokeStyle = this.getCategoryColor(connection.from.category);
-                strokeAlpha = isUnlockedCompleted ? 1 : 0.7;
-            } else {
-                strokeStyle = 'rgba(79, 195, 247, 0.3)';
-                strokeAlpha = 0.3;
-            }
+            const { strokeStyle, strokeAlpha } = this.getConnectionStyle(connection, userProgress);
             
             this.ctx.strokeStyle = strokeStyle;
             this.ctx.globalAlpha = strokeAlpha;
@@ -595,6 +592,52 @@ class CanvasRenderer {
         this.ctx.globalAlpha = 1;
     }
 
+    /**
+     * Get the connections to draw between skill nodes
+     */
+    getConnections(skillData, userProgress) {
+        // Use all connections since we removed collapse functionality
+        let connections = [];
+        if (window.skillTree) {
+            connections = window.skillTree.getSkillConnections();
+        } else {
+            // Fallback to all connections
+            for (const skill of skillData.getAllSkills()) {
+                if (skill.unlocks && skill.unlocks.length > 0) {
+                    for (const unlockedSkillId of skill.unlocks) {
+                        const unlockedSkill = skillData.getSkill(unlockedSkillId);
+                        if (unlockedSkill) {
+                            connections.push({
+                                from: skill,
+                                to: unlockedSkill,
+                                active: userProgress && userProgress.isSkillCompleted(skill.skill_id),
+                                type: skill.category === unlockedSkill.category ? 'category' : 'cross-category'
+                            });
+                        }
+                    }
+                }
+            }
+        }
+        
+        return connections;
+    }
+
+    /**
+     * Connection color: the source category's color once its skill is completed
+     */
+    getConnectionStyle(connection, userProgress) {
+        const isCompleted = userProgress && userProgress.isSkillCompleted(connection.from.skill_id);
+        const isUnlockedCompleted = userProgress && userProgress.isSkillCompleted(connection.to.skill_id);
+        
+        if (isCompleted) {
+            return {
+                strokeStyle: this.getCategoryColor(connection.from.category),
+                strokeAlpha: isUnlockedCompleted ? 1 : 0.7
+            };
+        }
+        return { strokeStyle: 'rgba(79, 195, 247, 0.3)', strokeAlpha: 0.3 };
+    }
+
     /**
      * Render skill nodes
      */
@@ -627,31 +670,15 @@ class CanvasRenderer {
      * Render a single skill node
      */
     renderSkillNode(skill, userProgress) {
-        const isCompleted = userProgress && userProgress.isSkillCompleted(skill.skill_id);
-        const isUnlocked = skill.unlocked;
+        const {
+            isCompleted, isUnlocked, rank, maxRank, nextRank, achievementRatio, fillColor, strokeColor, alpha
+        } = this.getSkillNodeStyle(skill, userProgress);
         
         // Use scaled position but keep radius constant
         const x = skill.position.x * this.scale;
         const y = skill.position.y * this.scale;
         const radius = this.nodeRadius; // Keep node size constant regardless of zoom
         
-        // Determine node appearance
-        let fillColor, strokeColor, alpha;
-        
-        if (isCompleted) {
-            fillColor = this.getCategoryColor(skill.category, 'secondary');
-            strokeColor = this.getCategoryColor(skill.category, 'dark');
-            alpha = 1;
-        } else if (isUnlocked) {
-            fillColor = this.getCategoryColor(skill.category, 'primary');
-            strokeColor = this.getCategoryColor(skill.category, 'dark');
-            alpha = 0.8;
-        } else {
-            fillColor = 'rgba(79, 195, 247, 0.2)';
-            strokeColor = 'rgba(79, 195, 247, 0.5)';
-            alpha = 0.5;
-        }
-        
         this.ctx.globalAlpha = alpha;
         
         // Draw node background
@@ -665,6 +692,15 @@ class CanvasRenderer {
         this.ctx.lineWidth = this.nodeStrokeWidth; // Keep stroke width constant
         this.ctx.stroke();
         
+        // Draw partial achievement progress as an arc around incomplete nodes
+        if (achievementRatio > 0) {
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius + 5, -Math.PI / 2, -Math.PI / 2 + achievementRatio * Math.PI * 2);
+            this.ctx.strokeStyle = '#ffd700';
+            this.ctx.lineWidth = this.nodeStrokeWidth;
+            this.ctx.stroke();
+        }
+        
         // Draw completion indicator
         if (isCompleted) {
             this.ctx.fillStyle = '#ffffff';
@@ -673,12 +709,30 @@ class CanvasRenderer {
             this.ctx.textBaseline = 'middle';
             this.ctx.fillText('✓', x, y);
         } else if (isUnlocked) {
-            // Draw skill points
+            // Draw skill points (points of the next rank for ranked skills)
             this.ctx.fillStyle = '#ffffff';
             this.ctx.font = `12px ${this.fontFamily}`; // Keep font size constant
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
-            this.ctx.fillText(skill.points.toString(), x, y);
+            this.ctx.fillText((nextRank ? nextRank.points : skill.points).toString(), x, y);
+        }
+        
+        // Draw rank pips above ranked nodes, filled for each earned rank
+        if (maxRank > 1) {
+            const pipRadius = 2.5;
+            const pipSpacing = pipRadius * 3;
+            const startX = x - ((maxRank - 1) * pipSpacing) / 2;
+            const pipY = y - radius - 8;
+            
+            for (let index = 0; index < maxRank; index++) {
+                this.ctx.beginPath();
+                this.ctx.arc(startX + index * pipSpacing, pipY, pipRadius, 0, 2 * Math.PI);
+                this.ctx.fillStyle = index < rank ? '#ffd700' : 'rgba(255, 255, 255, 0.2)';
+                this.ctx.fill();
+                this.ctx.strokeStyle = strokeColor;
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+            }
         }
         
         // Draw skill name below node (only if zoomed in enough)
@@ -688,29 +742,77 @@ class CanvasRenderer {
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'top';
             
-            const maxWidth = radius * 3;
-            const words = skill.name.split(' ');
-            let line = '';
-            let lineY = y + radius + 5;
-            
-            for (const word of words) {
-                const testLine = line + word + ' ';
-                const metrics = this.ctx.measureText(testLine);
-                
-                if (metrics.width > maxWidth && line !== '') {
-                    this.ctx.fillText(line.trim(), x, lineY);
-                    line = word + ' ';
-                    lineY += 12;
-                } else {
-                    line = testLine;
-                }
-            }
-            this.ctx.fillText(line.trim(), x, lineY);
+            this.wrapLabel(skill.name, radius * 3).forEach((line, index) => {
+                this.ctx.fillText(line, x, y + radius + 5 + index * 12);
+            });
         }
         
         this.ctx.globalAlpha = 1;
     }
 
+    /**
+     * Work out how a skill node looks: colors and alpha for its state, its rank,
+     * and the achievement progress towards its next rank (0 when completed)
+     */
+    getSkillNodeStyle(skill, userProgress) {
+        const isCompleted = !!(userProgress && userProgress.isSkillCompleted(skill.skill_id));
+        const isUnlocked = skill.unlocked;
+        const maxRank = skill.ranks ? skill.ranks.length : 1;
+        const rank = userProgress ? userProgress.getSkillRank(skill.skill_id) : 0;
+        
+        // Determine node appearance
+        let fillColor, strokeColor, alpha;
+        
+        if (isCompleted) {
+            fillColor = this.getCategoryColor(skill.category, 'secondary');
+            strokeColor = this.getCategoryColor(skill.category, 'dark');
+            alpha = 1;
+        } else if (isUnlocked) {
+            fillColor = this.getCategoryColor(skill.category, 'primary');
+            strokeColor = this.getCategoryColor(skill.category, 'dark');
+            alpha = 0.8;
+        } else {
+            fillColor = 'rgba(79, 195, 247, 0.2)';
+            strokeColor = 'rgba(79, 195, 247, 0.5)';
+            alpha = 0.5;
+        }
+        
+        // Ranked skills show achievement progress towards their next rank
+        const nextRank = skill.ranks && !isCompleted ? skill.ranks[rank] : null;
+        const pendingAchievements = nextRank ? nextRank.achievements : skill.achievements;
+        let achievementRatio = 0;
+        if (!isCompleted && userProgress && pendingAchievements && pendingAchievements.length > 0) {
+            const achievementProgress = nextRank
+                ? userProgress.getAchievementProgress(skill.skill_id, pendingAchievements.length, nextRank.achievementOffset)
+                : userProgress.getAchievementProgress(skill.skill_id, pendingAchievements.length);
+            achievementRatio = achievementProgress.ratio;
+        }
+        
+        return { isCompleted, isUnlocked, rank, maxRank, nextRank, achievementRatio, fillColor, strokeColor, alpha };
+    }
+
+    /**
+     * Split a skill name into lines no wider than maxWidth in the current context font
+     */
+    wrapLabel(text, maxWidth) {
+        const lines = [];
+        let line = '';
+        
+        for (const word of text.split(' ')) {
+            const testLine = line + word + ' ';
+            const metrics = this.ctx.measureText(testLine);
+            
+            if (metrics.width > maxWidth && line !== '') {
+                lines.push(line.trim());
+                line = word + ' ';
+            } else {
+                line = testLine;
+            }
+        }
+        lines.push(line.trim());
+        return lines;
+    }
+
     /**
      * Render category nodes as visible circular nodes in the center
      */
@@ -730,18 +832,16 @@ class CanvasRenderer {
             const screenX = category.position.x * this.scale;
             const screenY = category.position.y * this.scale;
             
-            // Skip if outside viewport
-            if (screenX < -categoryRadius || screenX > this.width + categoryRadius ||
-                screenY < -categoryRadius || screenY > this.height + categoryRadius) {
+            // Skip if outside viewport (the context is translated by the pan offset)
+            const viewX = screenX + this.offsetX;
+            const viewY = screenY + this.offsetY;
+            if (viewX < -categoryRadius || viewX > this.width + categoryRadius ||
+                viewY < -categoryRadius || viewY > this.height + categoryRadius) {
                 continue;
             }
             
             // Calculate category completion percentage
-            const categorySkills = skillData.getSkillsByCategory(category.id);
-            const completedSkills = categorySkills.filter(skill => 
-                userProgress && userProgress.isSkillCompleted(skill.skill_id)
-            );
-            const completionRatio = categorySkills.length > 0 ? completedSkills.length / categorySkills.length : 0;
+            const completionRatio = this.getCategoryCompletion(category, skillData, userProgress);
             
             // Draw category node
             this.ctx.save();
@@ -773,6 +873,17 @@ class CanvasRenderer {
         }
     }
 
+    /**
+     * Share of a category's skills that are completed (0 to 1)
+     */
+    getCategoryCompletion(category, skillData, userProgress) {
+        const categorySkills = skillData.getSkillsByCategory(category.id);
+        const completedSkills = categorySkills.filter(skill => 
+            userProgress && userProgress.isSkillCompleted(skill.skill_id)
+        );
+        return categorySkills.length > 0 ? completedSkills.length / categorySkills.length : 0;
+    }
+
     /**
      * Ensure categories are positioned in a circle at canvas center
      */
@@ -861,7 +972,35 @@ class CanvasRenderer {
             emotions: { primary: '#26c6da', secondary: '#80deea', dark: '#0097a7' }
         };
         
-        return colors[categoryId] ? colors[categoryId][variant] : '#4fc3f7';
+        if (colors[categoryId]) {
+            return colors[categoryId][variant];
+        }
+        
+        // Custom categories carry a single base color; derive the variants from it
+        const category = window.skillData && window.skillData.getCategory(categoryId);
+        if (category && category.color) {
+            if (variant === 'secondary') return this.shadeColor(category.color, 0.4);
+            if (variant === 'dark') return this.shadeColor(category.color, -0.3);
+            return category.color;
+        }
+        
+        return '#4fc3f7';
+    }
+
+    /**
+     * Lighten (positive amount) or darken (negative amount) a #rrggbb color
+     */
+    shadeColor(hex, amount) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(hex);
+        if (!match) return hex;
+        
+        const value = parseInt(match[1], 16);
+        const target = amount < 0 ? 0 : 255;
+        const weight = Math.abs(amount);
+        const channels = [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+            .map(channel => Math.round(channel + (target - channel) * weight));
+        
+        return '#' + channels.map(channel => channel.toString(16).padStart(2, '0')).join('');
     }
 
     /**
@@ -904,12 +1043,31 @@ class CanvasRenderer {
         const content = document.querySelector('#tooltip .tooltip-content');
         
         if (tooltip && content) {
-            const isCompleted = window.userProgress && window.userProgress.isSkillCompleted(skill.skill_id);
-            const completionText = isCompleted ? '✅ Completed' : `${skill.points} points`;
+            const progress = this.getDisplayedProgress();
+            const isCompleted = progress && progress.isSkillCompleted(skill.skill_id);
+            let completionText = isCompleted ? '✅ Completed' : `${skill.points} points`;
+            
+            if (skill.ranks && progress) {
+                const rank = progress.getSkillRank(skill.skill_id);
+                const rankName = rank > 0 ? ` ${skill.ranks[rank - 1].name}` : '';
+                completionText = `Rank ${rank}/${skill.ranks.length}${rankName}` +
+                    (isCompleted ? ' ✅' : ` · next: ${skill.ranks[rank].points} points`);
+            }
+            
+            if (!isCompleted && progress && skill.achievements && skill.achievements.length > 0) {
+                const nextRank = skill.ranks ? skill.ranks[progress.getSkillRank(skill.skill_id)] : null;
+                const achievementProgress = nextRank
+                    ? progress.getAchievementProgress(skill.skill_id, nextRank.achievements.length, nextRank.achievementOffset)
+                    : progress.getAchievementProgress(skill.skill_id, skill.achievements.length);
+                if (achievementProgress.total > 0) {
+                    completionText += ` · ${achievementProgress.completed}/${achievementProgress.total} achievements`;
+                }
+            }
             
+            // Skill text may be user-authored, so never inject it as HTML
             content.innerHTML = `
-                <strong>${skill.name}</strong><br>
-                ${skill.description}<br>
+                <strong>${this.escapeHTML(skill.name)}</strong><br>
+                ${this.escapeHTML(skill.description)}<br>
                 <em>${completionText}</em>
             `;
             
@@ -919,6 +1077,18 @@ class CanvasRenderer {
         }
     }
 
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Hide tooltip
      */
@@ -974,6 +1144,194 @@ class CanvasRenderer {
         };
     }
 
+    /**
+     * Bounds of the whole tree in world coordinates, padded for node labels
+     */
+    getTreeBounds(skillData) {
+        // Curve control points bound the curved connections
+        const controlPoints = this.getConnections(skillData, null)
+            .map(connection => window.skillTree?.getConnectionPath(connection.from.skill_id, connection.to.skill_id))
+            .filter(path => path && path.length === 3)
+            .map(path => path[1]);
+        const positions = [...skillData.getAllSkills(), ...skillData.getAllCategories()]
+            .map(item => item.position)
+            .concat(controlPoints)
+            .filter(position => position && isFinite(position.x) && isFinite(position.y));
+        if (positions.length === 0) {
+            return { x: 0, y: 0, width: this.width, height: this.height };
+        }
+        
+        const xs = positions.map(position => position.x);
+        const ys = positions.map(position => position.y);
+        const x = Math.min(...xs) - this.exportPadding;
+        const y = Math.min(...ys) - this.exportPadding;
+        return {
+            x,
+            y,
+            width: Math.max(...xs) + this.exportPadding - x,
+            height: Math.max(...ys) + this.exportPadding - y
+        };
+    }
+
+    /**
+     * Widest PNG export whose width, height and area all stay within the canvas limits
+     */
+    getMaxExportWidth(bounds) {
+        const aspect = bounds.width / bounds.height;
+        return Math.floor(Math.min(
+            this.maxExportDimension,
+            this.maxExportDimension * aspect,
+            Math.sqrt(this.maxExportArea * aspect)
+        ));
+    }
+
+    /**
+     * Render the whole tree to a PNG image `width` pixels wide, whatever the current
+     * view, zoom or device pixel ratio. The tree is laid out as at 100% zoom (so
+     * labels are shown) and the height follows from its aspect ratio.
+     * Resolves with a PNG Blob.
+     */
+    exportPNG(width, skillData = window.skillData, userProgress = window.userProgress) {
+        const bounds = this.getTreeBounds(skillData);
+        const pixelsPerUnit = width / bounds.width;
+        const height = Math.round(bounds.height * pixelsPerUnit);
+        
+        if (!Number.isInteger(width) || width < 1 || width > this.maxExportDimension ||
+            height > this.maxExportDimension || width * height > this.maxExportArea) {
+            return Promise.reject(new Error(
+                `Image size ${width}×${height} is not supported; choose a width of at most ${this.getMaxExportWidth(bounds)} pixels`
+            ));
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        
+        // Draw with the export context and a view framing the whole tree, then put the live view back
+        const view = {
+            ctx: this.ctx, width: this.width, height: this.height,
+            scale: this.scale, offsetX: this.offsetX, offsetY: this.offsetY
+        };
+        try {
+            Object.assign(this, {
+                ctx, width: bounds.width, height: bounds.height,
+                scale: 1, offsetX: -bounds.x, offsetY: -bounds.y
+            });
+            ctx.scale(pixelsPerUnit, pixelsPerUnit);
+            ctx.fillStyle = this.exportBackground;
+            ctx.fillRect(0, 0, bounds.width, bounds.height);
+            this.renderScene(skillData, userProgress);
+        } finally {
+            Object.assign(this, view);
+        }
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The browser could not create an image this large; choose a smaller width'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Render the whole tree as an SVG document: curved connections from the
+     * skill tree's connection paths, category and skill nodes, and labels, all as
+     * vector elements so the image can be printed at any size.
+     */
+    exportSVG(skillData = window.skillData, userProgress = window.userProgress) {
+        const bounds = this.getTreeBounds(skillData);
+        const round = value => Math.round(value * 100) / 100;
+        const xml = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const radius = this.nodeRadius;
+        // Arc drawn clockwise from 12 o'clock, as on the canvas
+        const progressRing = (x, y, r, ratio, color, strokeWidth) => {
+            const circumference = 2 * Math.PI * r;
+            return `<circle cx="${round(x)}" cy="${round(y)}" r="${round(r)}" fill="none" stroke="${color}" stroke-width="${round(strokeWidth)}" stroke-dasharray="${round(circumference * ratio)} ${round(circumference)}" transform="rotate(-90 ${round(x)} ${round(y)})"/>`;
+        };
+        
+        const connections = this.getConnections(skillData, userProgress).map(connection => {
+            const { strokeStyle, strokeAlpha } = this.getConnectionStyle(connection, userProgress);
+            const path = window.skillTree?.getConnectionPath(connection.from.skill_id, connection.to.skill_id);
+            const d = path && path.length === 3
+                ? `M ${round(path[0].x)} ${round(path[0].y)} Q ${round(path[1].x)} ${round(path[1].y)} ${round(path[2].x)} ${round(path[2].y)}`
+                : `M ${round(connection.from.position.x)} ${round(connection.from.position.y)} L ${round(connection.to.position.x)} ${round(connection.to.position.y)}`;
+            return `<path d="${d}" stroke="${strokeStyle}" stroke-opacity="${strokeAlpha}"/>`;
+        });
+        
+        const categoryRadius = radius * 1.8;
+        const categories = skillData.getAllCategories().filter(category => category.position).map(category => {
+            const { x, y } = category.position;
+            const completionRatio = this.getCategoryCompletion(category, skillData, userProgress);
+            return [
+                `<g class="category" data-category="${xml(category.id)}">`,
+                `<circle cx="${round(x)}" cy="${round(y)}" r="${round(categoryRadius)}" fill="${xml(category.color || '#4fc3f7')}"/>`,
+                completionRatio > 0 ? progressRing(x, y, categoryRadius * 0.8, completionRatio, '#ffd700', categoryRadius * 0.3) : '',
+                `<text x="${round(x)}" y="${round(y)}" font-size="${round(Math.max(16, categoryRadius * 0.6))}" dominant-baseline="central">${xml(category.icon || '🎯')}</text>`,
+                `<text x="${round(x)}" y="${round(y + radius * 2.2)}" font-size="16" font-weight="bold" dominant-baseline="central">${xml(category.name)}</text>`,
+                '</g>'
+            ].join('');
+        });
+        
+        // Labels wrap with the same measurements as the canvas
+        this.ctx.save();
+        this.ctx.font = `10px ${this.fontFamily}`;
+        const skills = skillData.getAllSkills().filter(skill => skill.position).map(skill => {
+            const { x, y } = skill.position;
+            const {
+                isCompleted, isUnlocked, rank, maxRank, nextRank, achievementRatio, fillColor, strokeColor, alpha
+            } = this.getSkillNodeStyle(skill, userProgress);
+            const parts = [
+                `<g class="skill" data-skill="${xml(skill.skill_id)}" opacity="${alpha}">`,
+                `<title>${xml(skill.name)}</title>`,
+                `<circle cx="${round(x)}" cy="${round(y)}" r="${radius}" fill="${fillColor}" stroke="${strokeColor}" stroke-width="${this.nodeStrokeWidth}"/>`
+            ];
+            if (achievementRatio > 0) {
+                parts.push(progressRing(x, y, radius + 5, achievementRatio, '#ffd700', this.nodeStrokeWidth));
+            }
+            if (isCompleted) {
+                parts.push(`<text x="${round(x)}" y="${round(y)}" font-size="16" dominant-baseline="central">✓</text>`);
+            } else if (isUnlocked) {
+                parts.push(`<text x="${round(x)}" y="${round(y)}" font-size="12" dominant-baseline="central">${nextRank ? nextRank.points : skill.points}</text>`);
+            }
+            if (maxRank > 1) {
+                const pipRadius = 2.5;
+                const pipSpacing = pipRadius * 3;
+                const startX = x - ((maxRank - 1) * pipSpacing) / 2;
+                for (let index = 0; index < maxRank; index++) {
+                    parts.push(`<circle cx="${round(startX + index * pipSpacing)}" cy="${round(y - radius - 8)}" r="${pipRadius}" fill="${index < rank ? '#ffd700' : 'rgba(255, 255, 255, 0.2)'}" stroke="${strokeColor}" stroke-width="1"/>`);
+                }
+            }
+            const lines = this.wrapLabel(skill.name, radius * 3);
+            parts.push(`<text class="label" x="${round(x)}" y="${round(y + radius + 5)}" font-size="10" fill="#e0e0e0" dominant-baseline="hanging">${
+                lines.map((line, index) => `<tspan x="${round(x)}" dy="${index === 0 ? 0 : 12}">${xml(line)}</tspan>`).join('')
+            }</text>`);
+            parts.push('</g>');
+            return parts.join('');
+        });
+        this.ctx.restore();
+        
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${round(bounds.width)}" height="${round(bounds.height)}" viewBox="${round(bounds.x)} ${round(bounds.y)} ${round(bounds.width)} ${round(bounds.height)}" font-family="${xml(this.fontFamily)}">`,
+            `<rect x="${round(bounds.x)}" y="${round(bounds.y)}" width="${round(bounds.width)}" height="${round(bounds.height)}" fill="${this.exportBackground}"/>`,
+            `<g class="connections" fill="none" stroke-width="${this.connectionWidth}">${connections.join('')}</g>`,
+            `<g class="categories" fill="#ffffff" text-anchor="middle">${categories.join('')}</g>`,
+            `<g class="skills" fill="#ffffff" text-anchor="middle">${skills.join('')}</g>`,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
     /**
      * Center view on a specific category
      */
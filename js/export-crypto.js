@@ -0,0 +1,194 @@
+/**
+ * Export Crypto
+ * Passphrase protection for export files. The exported JSON is encrypted with
+ * AES-GCM using a key derived from the passphrase with PBKDF2, and wrapped in a
+ * small JSON envelope that records the salt, IV and iteration count needed to
+ * decrypt it. AES-GCM authenticates the data, so a wrong passphrase or a
+ * damaged file is always detected rather than producing garbage.
+ */
+
+class ExportCrypto {
+    constructor() {
+        this.FORMAT = 'skill-tree-encrypted';
+        this.VERSION = 1;
+        this.PBKDF2_ITERATIONS = 250000;
+        // Iteration counts read from a file are bounded, so a tampered envelope
+        // can neither weaken the key nor stall the page deriving it
+        this.MIN_PBKDF2_ITERATIONS = 100000;
+        this.MAX_PBKDF2_ITERATIONS = 2000000;
+        this.SALT_BYTES = 16;
+        this.IV_BYTES = 12;
+        this.MIN_PASSPHRASE_LENGTH = 8;
+    }
+
+    /**
+     * Check that the browser provides WebCrypto (it requires a secure context)
+     */
+    isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function';
+    }
+
+    /**
+     * Check a passphrase chosen for export; returns an error message or null
+     */
+    validatePassphrase(passphrase, confirmation = passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            return `Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`;
+        }
+        if (passphrase !== confirmation) {
+            return 'Passphrases do not match';
+        }
+        return null;
+    }
+
+    /**
+     * Check whether file contents are an encrypted export
+     */
+    isEncrypted(text) {
+        try {
+            const parsed = JSON.parse(text);
+            return !!parsed && parsed.format === this.FORMAT;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt text with a passphrase. Returns the encrypted envelope as a JSON string.
+     */
+    async encrypt(plaintext, passphrase) {
+        if (!this.isAvailable()) {
+            throw new Error('Encryption is not supported in this browser');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const key = await this.deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext)
+        );
+
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.PBKDF2_ITERATIONS, salt: this.toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+            data: this.toBase64(new Uint8Array(ciphertext))
+        }, null, 2);
+    }
+
+    /**
+     * Decrypt an encrypted envelope.
+     * Returns { success, data } or { success: false, error }.
+     */
+    async decrypt(text, passphrase) {
+        if (!this.isAvailable()) {
+            return { success: false, error: 'Encrypted files cannot be opened in this browser (WebCrypto is unavailable)' };
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            return { success: false, error: 'The encrypted file is damaged and cannot be read' };
+        }
+        if (!envelope || envelope.format !== this.FORMAT) {
+            return { success: false, error: 'This file is not an encrypted export' };
+        }
+        if (envelope.version > this.VERSION) {
+            return { success: false, error: 'This file was encrypted by a newer version of the app' };
+        }
+
+        let key;
+        let iv;
+        let ciphertext;
+        try {
+            const iterations = envelope.kdf.iterations;
+            if (!Number.isInteger(iterations) ||
+                iterations < this.MIN_PBKDF2_ITERATIONS || iterations > this.MAX_PBKDF2_ITERATIONS) {
+                throw new Error(`Unsupported PBKDF2 iteration count: ${iterations}`);
+            }
+            key = await this.deriveKey(passphrase, this.fromBase64(envelope.kdf.salt), iterations);
+            iv = this.fromBase64(envelope.cipher.iv);
+            ciphertext = this.fromBase64(envelope.data);
+        } catch (error) {
+            return { success: false, error: 'The encrypted file is damaged and cannot be read' };
+        }
+
+        try {
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+            return { success: true, data: new TextDecoder().decode(plaintext) };
+        } catch (error) {
+            // AES-GCM authentication failed: the key is wrong or the data was changed
+            return { success: false, error: 'Wrong passphrase, or the file has been modified' };
+        }
+    }
+
+    /**
+     * Decrypt an envelope, asking for the passphrase until it is right.
+     * requestPassphrase(errorMessage) returns the passphrase, or null when the user cancels.
+     * Returns { success, data } or { success: false, error, cancelled }.
+     */
+    async decryptWithPrompt(text, requestPassphrase, maxAttempts = 3) {
+        let lastError = null;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const passphrase = await requestPassphrase(lastError);
+            if (passphrase === null || passphrase === undefined) {
+                return { success: false, cancelled: true, error: 'Import cancelled' };
+            }
+
+            const result = await this.decrypt(text, passphrase);
+            if (result.success) {
+                return result;
+            }
+            lastError = result.error;
+            if (!lastError.startsWith('Wrong passphrase')) {
+                break; // Retrying will not help a damaged or unsupported file
+            }
+        }
+        return { success: false, cancelled: false, error: lastError };
+    }
+
+    /**
+     * Encode bytes as base64
+     */
+    toBase64(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 into bytes
+     */
+    fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other modules
+window.ExportCrypto = ExportCrypto;
@@ -1,14 +1,58 @@
 /**
  * Import/Export Controller
- * Handles data import/export functionality with validation
+ * Handles data import/export functionality with validation.
+ *
+ * Every export uses one versioned envelope:
+ *   { format, envelopeVersion, metadata: { version, exportDate, ... }, progress, statistics, skillTree }
+ * metadata.version is the progress schema version (see ProgressMigrations). Files written
+ * before the envelope existed are recognised and converted on import (see convertLegacyExport()).
  */
 
 class ImportExportController {
     constructor(userProgress, skillData) {
         this.userProgress = userProgress;
         this.skillData = skillData;
-        this.supportedFormats = ['json'];
-        this.currentVersion = '1.0.0';
+        this.supportedFormats = ['json', 'csv'];
+        this.FORMAT = 'life-skills-skill-tree';
+        this.ENVELOPE_VERSION = 2;
+        this.currentVersion = userProgress.migrations.CURRENT_VERSION;
+        this.crypto = new ExportCrypto();
+        this.shareLink = new ShareLink(skillData);
+    }
+
+    /**
+     * Build the export envelope for the active profile
+     */
+    createEnvelope() {
+        const completionState = this.userProgress.store.getState();
+        return {
+            format: this.FORMAT,
+            envelopeVersion: this.ENVELOPE_VERSION,
+            metadata: {
+                version: this.currentVersion,
+                exportDate: new Date().toISOString(),
+                appName: 'Life Skills Skill Tree',
+                description: 'Exported skill tree progress data',
+                profileName: this.userProgress.profiles.getActiveProfile().name
+            },
+            progress: {
+                completedSkills: completionState.completedSkills,
+                skillRanks: completionState.skillRanks,
+                completionDates: completionState.completionDates,
+                totalPoints: this.userProgress.getTotalPoints(),
+                categoryProgress: this.userProgress.getAllCategoryProgress(),
+                customSkills: this.userProgress.getCustomSkills(),
+                customCategories: this.userProgress.getCustomCategories(),
+                achievementProgress: this.userProgress.progress.achievementProgress,
+                practiceLog: this.userProgress.progress.practiceLog,
+                bookmarks: this.userProgress.progress.bookmarks,
+                createdDate: this.userProgress.progress.createdDate,
+                lastSaved: this.userProgress.progress.lastSaved,
+                events: this.userProgress.events.getEvents().reverse()
+            },
+            statistics: this.generateExportStatistics(),
+            skillTree: this.exportSkillTreeStructure()
+        };
     }
 
     /**
@@ -16,24 +60,7 @@ class ImportExportController {
      */
     exportProgress() {
         try {
-            const exportData = {
-                metadata: {
-                    version: this.currentVersion,
-                    exportDate: new Date().toISOString(),
-                    appName: 'Life Skills Skill Tree',
-                    description: 'Exported skill tree progress data'
-                },
-                progress: {
-                    completedSkills: this.userProgress.progress.completedSkills,
-                    totalPoints: this.userProgress.progress.totalPoints,
-                    categoryProgress: this.userProgress.progress.categoryProgress,
-                    createdDate: this.userProgress.progress.createdDate,
-                    lastSaved: this.userProgress.progress.lastSaved
-                },
-                statistics: this.generateExportStatistics(),
-                skillTree: this.exportSkillTreeStructure()
-            };
-
+            const exportData = this.createEnvelope();
             const jsonString = JSON.stringify(exportData, null, 2);
             return {
                 success: true,
@@ -52,45 +79,514 @@ class ImportExportController {
     }
 
     /**
-     * Import user progress from JSON data
+     * Export user progress encrypted with a passphrase (AES-GCM, PBKDF2-derived key)
+     */
+    async exportEncryptedProgress(passphrase) {
+        const passphraseError = this.crypto.validatePassphrase(passphrase);
+        if (passphraseError) {
+            return { success: false, error: passphraseError };
+        }
+
+        const exportResult = this.exportProgress();
+        if (!exportResult.success) {
+            return exportResult;
+        }
+
+        try {
+            const encrypted = await this.crypto.encrypt(exportResult.data, passphrase);
+            return {
+                success: true,
+                data: encrypted,
+                filename: exportResult.filename.replace(/\.json$/, '-encrypted.json'),
+                size: new Blob([encrypted]).size,
+                encrypted: true
+            };
+        } catch (error) {
+            console.error('Encrypted export error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Export one row per skill as CSV (for spreadsheets).
+     * Columns: skill_id, category, name, points, timeRequired, status, rank, dateCompleted, prerequisites.
      */
-    importProgress(jsonData) {
+    exportSkillsCSV() {
         try {
-            // Parse and validate JSON
-            const importData = JSON.parse(jsonData);
-            const validation = this.validateImportData(importData);
-            
-            if (!validation.valid) {
-                return {
-                    success: false,
-                    error: `Invalid import data: ${validation.errors.join(', ')}`
-                };
+            const statusOf = skill => {
+                if (skill.completed) return 'completed';
+                if (skill.rank > 0) return 'in progress';
+                return skill.unlocked ? 'available' : 'locked';
+            };
+            const nameOf = skillId => {
+                const skill = this.skillData.getSkill(skillId);
+                return skill ? skill.name : skillId;
+            };
+
+            const rows = [['skill_id', 'category', 'name', 'points', 'timeRequired', 'status', 'rank', 'dateCompleted', 'prerequisites']];
+            this.skillData.getAllCategories().forEach(category => {
+                this.skillData.getSkillsByCategory(category.id).forEach(skill => {
+                    rows.push([
+                        skill.skill_id,
+                        category.name,
+                        skill.name,
+                        this.skillData.getMaxPoints(skill),
+                        skill.timeRequired || '',
+                        statusOf(skill),
+                        `${skill.rank}/${skill.maxRank}`,
+                        skill.dateCompleted || '',
+                        (skill.prerequisites || []).map(nameOf).join('; ')
+                    ]);
+                });
+            });
+
+            return this.createCSVResult(rows, 'skills');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Export one row per category summarising completion as CSV
+     */
+    exportCategorySummaryCSV() {
+        try {
+            const rows = [['category_id', 'category', 'completedSkills', 'totalSkills', 'points', 'availablePoints', 'percentage']];
+            this.skillData.getAllCategories().forEach(category => {
+                const progress = this.userProgress.getCategoryProgress(category.id);
+                const availablePoints = this.skillData.getSkillsByCategory(category.id)
+                    .reduce((total, skill) => total + this.skillData.getMaxPoints(skill), 0);
+                rows.push([
+                    category.id,
+                    category.name,
+                    progress.completedCount,
+                    progress.totalSkills,
+                    progress.points,
+                    availablePoints,
+                    progress.percentage
+                ]);
+            });
+
+            return this.createCSVResult(rows, 'categories');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Wrap CSV rows in an export result
+     */
+    createCSVResult(rows, kind) {
+        const csv = this.toCSV(rows);
+        return {
+            success: true,
+            data: csv,
+            filename: this.generateFilename().replace(/\.json$/, `-${kind}.csv`),
+            size: new Blob([csv]).size,
+            mimeType: 'text/csv'
+        };
+    }
+
+    /**
+     * Serialise rows as RFC 4180 CSV. Cells that a spreadsheet would run as a
+     * formula are prefixed with an apostrophe.
+     */
+    toCSV(rows) {
+        const escapeCell = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse RFC 4180 CSV (quoted cells, doubled quotes, CRLF or LF) into rows of strings
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Read a skills CSV and work out which skills it marks complete.
+     * Rows are matched by skill_id (or id) when present, otherwise by name.
+     * With a status column only rows whose status means "done" count; without one, every row does.
+     * Returns { success, skills: [{ skillId, date }], unmatched: [{ line, value, reason }] } or { success: false, error }.
+     */
+    parseSkillsCSV(text) {
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) {
+            return { success: false, error: 'The CSV file has no data rows' };
+        }
+
+        const header = rows[0].map(name => name.trim().toLowerCase());
+        const column = (...names) => header.findIndex(name => names.includes(name));
+        const idColumn = column('skill_id', 'id', 'skill id');
+        const nameColumn = column('name', 'skill', 'skill name');
+        const statusColumn = column('status', 'completed', 'done');
+        const dateColumn = column('datecompleted', 'date completed', 'date');
+        if (idColumn === -1 && nameColumn === -1) {
+            return { success: false, error: 'The CSV file needs a "skill_id" or "name" column' };
+        }
+
+        // Names are matched case-insensitively; a name shared by several skills is ambiguous
+        const byName = new Map();
+        this.skillData.getAllSkills().forEach(skill => {
+            const key = skill.name.trim().toLowerCase();
+            byName.set(key, byName.has(key) ? null : skill);
+        });
+        const doneValues = ['completed', 'complete', 'done', 'yes', 'y', 'true', 'x', '1', '✓'];
+
+        const skills = [];
+        const unmatched = [];
+        rows.slice(1).forEach((cells, index) => {
+            const line = index + 2;
+            // Undo the apostrophe toCSV() puts in front of formula-like cells
+            const cell = columnIndex => (columnIndex === -1 ? '' : (cells[columnIndex] || '').replace(/^'(?=[=+\-@\t\r])/, '').trim());
+            if (statusColumn !== -1 && !doneValues.includes(cell(statusColumn).toLowerCase())) {
+                return;
+            }
+
+            let skill = cell(idColumn) ? this.skillData.getSkill(cell(idColumn)) : null;
+            if (!skill && cell(nameColumn)) {
+                skill = byName.get(cell(nameColumn).toLowerCase());
+                if (skill === null) {
+                    unmatched.push({ line, value: cell(nameColumn), reason: 'Several skills have this name; use the skill_id' });
+                    return;
+                }
+            }
+            if (!skill) {
+                unmatched.push({ line, value: cell(idColumn) || cell(nameColumn), reason: 'No matching skill' });
+                return;
+            }
+
+            const date = cell(dateColumn) && !isNaN(new Date(cell(dateColumn))) ? new Date(cell(dateColumn)).toISOString() : null;
+            skills.push({ skillId: skill.skill_id, date });
+        });
+
+        return { success: true, skills, unmatched };
+    }
+
+    /**
+     * Describe what importing a skills CSV would change
+     */
+    previewCSV(text) {
+        const parsed = this.parseSkillsCSV(text);
+        if (!parsed.success) {
+            return { error: parsed.error };
+        }
+        const toComplete = [...new Set(parsed.skills.map(entry => entry.skillId))];
+        return {
+            added: toComplete.filter(skillId => !this.userProgress.isSkillCompleted(skillId)),
+            alreadyCompleted: toComplete.filter(skillId => this.userProgress.isSkillCompleted(skillId)),
+            unmatched: parsed.unmatched
+        };
+    }
+
+    /**
+     * Mark the skills listed in a CSV complete. Nothing is uncompleted; the change is one undoable step.
+     */
+    importCSV(text) {
+        const parsed = this.parseSkillsCSV(text);
+        if (!parsed.success) {
+            return { success: false, error: parsed.error };
+        }
+
+        const incoming = { completedSkills: [], completionDates: {} };
+        parsed.skills.forEach(({ skillId, date }) => {
+            incoming.completedSkills.push(skillId);
+            incoming.completionDates[skillId] = date || new Date().toISOString();
+        });
+        const preview = this.previewCSV(text);
+        if (preview.added.length === 0) {
+            return {
+                success: true,
+                message: 'All listed skills were already completed',
+                statistics: { newSkillsAdded: 0, alreadyCompleted: preview.alreadyCompleted.length, unmatched: parsed.unmatched }
+            };
+        }
+
+        try {
+            // The CSV only adds completions; dates on both sides follow the merge's default policy
+            const { data } = this.userProgress.merger.merge(this.userProgress.getProgressData(), incoming);
+            this.userProgress.snapshots.take('import');
+            this.userProgress.history.capture('Import CSV', () => {
+                this.userProgress.applyProgressData(data, 'import');
+            });
+            this.userProgress.events.append('imported', { source: 'csv', skillCount: preview.added.length });
+            this.userProgress.notifyListeners('progress-imported', this.userProgress.progress);
+
+            return {
+                success: true,
+                message: `Marked ${preview.added.length} skill${preview.added.length === 1 ? '' : 's'} complete`,
+                statistics: {
+                    newSkillsAdded: preview.added.length,
+                    alreadyCompleted: preview.alreadyCompleted.length,
+                    unmatched: parsed.unmatched,
+                    totalPoints: this.userProgress.getTotalPoints()
+                }
+            };
+        } catch (error) {
+            console.error('CSV import error:', error);
+            return {
+                success: false,
+                error: `Failed to import: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Bring an export file of any known shape into the current envelope.
+     * Returns { envelope, legacyFormat } where legacyFormat is null for current files,
+     * or null when the shape is not recognised.
+     */
+    convertLegacyExport(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
+        }
+
+        // Current envelope
+        if (data.format === this.FORMAT) {
+            return { envelope: data, legacyFormat: null };
+        }
+
+        // Envelope written before it carried a format marker
+        if (data.metadata && data.progress) {
+            return {
+                envelope: { ...data, format: this.FORMAT, envelopeVersion: this.ENVELOPE_VERSION },
+                legacyFormat: 'envelope-v1'
+            };
+        }
+
+        // Flat progress object (UserProgress.exportProgress() before the envelope)
+        if (Array.isArray(data.completedSkills)) {
+            const { exportDate, exportVersion, profileName, version, ...progress } = data;
+            return {
+                envelope: {
+                    format: this.FORMAT,
+                    envelopeVersion: this.ENVELOPE_VERSION,
+                    metadata: {
+                        version: version || exportVersion || '1.0.0',
+                        exportDate: exportDate || data.lastSaved || new Date().toISOString(),
+                        profileName
+                    },
+                    progress
+                },
+                legacyFormat: 'flat'
+            };
+        }
+
+        // Per-skill map (SkillData.exportData() before the envelope)
+        if (data.skills && typeof data.skills === 'object') {
+            const progress = { completedSkills: [], skillRanks: {}, completionDates: {}, totalPoints: data.totalPoints };
+            for (const [skillId, skillProgress] of Object.entries(data.skills)) {
+                // Like the old per-skill importer, skills no longer in the tree are skipped
+                const skill = this.skillData.getSkill(skillId);
+                if (!skillProgress || !skill) continue;
+
+                const maxRank = skill.maxRank;
+                const rank = typeof skillProgress.rank === 'number' ? skillProgress.rank : (skillProgress.completed ? maxRank : 0);
+                if (maxRank > 1 && rank > 0 && rank < maxRank) {
+                    progress.skillRanks[skillId] = rank;
+                }
+                if (skillProgress.completed || rank >= maxRank) {
+                    progress.completedSkills.push(skillId);
+                    if (skillProgress.dateCompleted) {
+                        progress.completionDates[skillId] = skillProgress.dateCompleted;
+                    }
+                }
             }
+            return {
+                envelope: {
+                    format: this.FORMAT,
+                    envelopeVersion: this.ENVELOPE_VERSION,
+                    metadata: {
+                        // The per-skill map already carries ranks and dates
+                        version: this.currentVersion,
+                        exportDate: data.exportDate || new Date().toISOString()
+                    },
+                    progress
+                },
+                legacyFormat: 'skill-map'
+            };
+        }
 
-            // Check version compatibility
-            if (!this.isVersionCompatible(importData.metadata?.version)) {
-                return {
-                    success: false,
-                    error: 'Incompatible version. Please export from a compatible version.'
-                };
+        return null;
+    }
+
+    /**
+     * Parse, convert, validate and migrate an export file.
+     * Returns { success, envelope, legacyFormat, migration, check } or { success: false, error }.
+     */
+    parseImport(jsonData) {
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonData);
+        } catch (error) {
+            return { success: false, error: `Invalid JSON: ${error.message}` };
+        }
+
+        if (this.crypto.isEncrypted(jsonData)) {
+            return { success: false, error: 'This file is encrypted; decrypt it with its passphrase first' };
+        }
+
+        const converted = this.convertLegacyExport(parsed);
+        if (!converted) {
+            return { success: false, error: 'Invalid import data: Unrecognised file format' };
+        }
+        if (converted.envelope.envelopeVersion > this.ENVELOPE_VERSION) {
+            return { success: false, error: 'Incompatible version: File was exported by a newer version of the app' };
+        }
+
+        const validation = this.validateImportData(converted.envelope);
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: `Invalid import data: ${validation.errors.join(', ')}`
+            };
+        }
+
+        // Upgrade files exported by older versions step by step
+        const migration = this.userProgress.migrations.migrate(converted.envelope.progress, converted.envelope.metadata.version);
+        if (!migration.success) {
+            return {
+                success: false,
+                error: `Incompatible version: ${migration.error}`
+            };
+        }
+
+        return {
+            success: true,
+            envelope: { ...converted.envelope, progress: migration.data },
+            legacyFormat: converted.legacyFormat,
+            migration,
+            // Stored totals are only checked, never trusted; points are recomputed after import
+            check: this.userProgress.scoring.verify(migration.data)
+        };
+    }
+
+    /**
+     * Describe what importing a file would change, without applying it.
+     * Options as for importProgress(). Returns the preview report, or { error }.
+     */
+    previewImport(jsonData, options = {}) {
+        const parsed = this.parseImport(jsonData);
+        if (!parsed.success) {
+            return { error: parsed.error };
+        }
+        return {
+            ...this.userProgress.merger.preview(parsed.envelope.progress, options),
+            check: parsed.check,
+            legacyFormat: parsed.legacyFormat,
+            fromVersion: parsed.migration.fromVersion,
+            migrations: parsed.migration.applied
+        };
+    }
+
+    /**
+     * Import user progress from JSON data.
+     * Options: { mode: 'replace' | 'merge', keepDate: 'earliest' | 'latest' } (see ProgressMerge.merge).
+     */
+    importProgress(jsonData, options = {}) {
+        try {
+            const parsed = this.parseImport(jsonData);
+            if (!parsed.success) {
+                return { success: false, error: parsed.error };
+            }
+            const { envelope: importData, migration, check } = parsed;
+            this.userProgress.lastMigration = migration;
+            this.userProgress.lastImportCheck = check;
+            if (!check.consistent) {
+                console.warn('Imported progress has inconsistent totals; points are recalculated:', check.issues);
             }
 
-            // Create backup of current progress
+            // Keep a restorable snapshot, plus a backup for rolling back a failed import
+            this.userProgress.snapshots.take('import');
             const backup = this.createBackup();
 
             try {
-                // Import the progress data
-                const result = this.performImport(importData);
+                // Import the progress data as a single undoable step
+                let result = null;
+                const label = options.mode === 'merge' ? 'Merge imported progress' : 'Import progress';
+                this.userProgress.history.capture(label, () => {
+                    result = this.performImport(importData, options);
+                    return result.success;
+                });
                 
                 if (result.success) {
-                    // Sync with skill data
-                    this.userProgress.syncWithSkillData(this.skillData);
-                    this.skillData.importData(importData.progress);
+                    // Load imported custom skills so they count towards the derived totals
+                    this.skillData.loadCustomContent(
+                        this.userProgress.getCustomCategories(),
+                        this.userProgress.getCustomSkills()
+                    );
+                    
+                    // The file's own history joins the event log, followed by the import itself
+                    this.userProgress.events.addEvents(importData.progress.events);
+                    this.userProgress.events.append('imported', {
+                        source: options.mode === 'merge' ? 'merge' : 'replace',
+                        skillCount: result.statistics.totalSkillsImported
+                    });
+                    this.userProgress.notifyListeners('progress-imported', this.userProgress.progress);
                     
                     return {
                         success: true,
                         message: 'Progress imported successfully!',
-                        statistics: result.statistics
+                        statistics: result.statistics,
+                        legacyFormat: parsed.legacyFormat,
+                        migrations: migration.applied,
+                        fromVersion: migration.fromVersion,
+                        warnings: check.issues.map(issue => issue.message)
                     };
                 } else {
                     // Restore backup on failure
@@ -144,18 +640,38 @@ class ImportExportController {
             if (!Array.isArray(data.progress.completedSkills)) {
                 errors.push('Invalid completed skills data');
             }
-            if (typeof data.progress.totalPoints !== 'number') {
+            if (data.progress.totalPoints !== undefined && typeof data.progress.totalPoints !== 'number') {
                 errors.push('Invalid total points data');
             }
-            if (!data.progress.categoryProgress || typeof data.progress.categoryProgress !== 'object') {
+            if (data.progress.categoryProgress !== undefined &&
+                (!data.progress.categoryProgress || typeof data.progress.categoryProgress !== 'object')) {
                 errors.push('Invalid category progress data');
             }
+            if (data.progress.customSkills !== undefined && !Array.isArray(data.progress.customSkills)) {
+                errors.push('Invalid custom skills data');
+            }
+            if (data.progress.customCategories !== undefined && !Array.isArray(data.progress.customCategories)) {
+                errors.push('Invalid custom categories data');
+            }
+            if (data.progress.completionDates !== undefined &&
+                (!data.progress.completionDates || typeof data.progress.completionDates !== 'object')) {
+                errors.push('Invalid completion dates data');
+            }
+            if (data.progress.skillRanks !== undefined &&
+                (!data.progress.skillRanks || typeof data.progress.skillRanks !== 'object' ||
+                 Object.values(data.progress.skillRanks).some(rank => !Number.isInteger(rank) || rank < 0))) {
+                errors.push('Invalid skill rank data');
+            }
         }
 
-        // Validate skill IDs exist in current skill tree
+        // Validate skill IDs exist in current skill tree or in the imported custom skills
         if (data.progress && Array.isArray(data.progress.completedSkills)) {
+            const importedCustomIds = new Set(
+                (Array.isArray(data.progress.customSkills) ? data.progress.customSkills : [])
+                    .map(skill => skill && skill.skill_id)
+            );
             const invalidSkills = data.progress.completedSkills.filter(skillId => {
-                return !this.skillData.getSkill(skillId);
+                return !this.skillData.getSkill(skillId) && !importedCustomIds.has(skillId);
             });
             
             if (invalidSkills.length > 0) {
@@ -170,46 +686,52 @@ class ImportExportController {
     }
 
     /**
-     * Check if import version is compatible
+     * Check if import version is compatible (can be migrated to the current version)
      */
     isVersionCompatible(importVersion) {
         if (!importVersion) return false;
         
-        const currentMajor = this.currentVersion.split('.')[0];
-        const importMajor = importVersion.split('.')[0];
-        
-        // Same major version is compatible
-        return currentMajor === importMajor;
+        return this.userProgress.migrations.canMigrate(importVersion);
     }
 
     /**
-     * Perform the actual import operation
+     * Perform the actual import operation, replacing or merging with current progress
      */
-    performImport(importData) {
-        const progressData = importData.progress;
+    performImport(importData, options = {}) {
+        let progressData = importData.progress;
+        let mergeReport = null;
+        if (options.mode === 'merge') {
+            const merged = this.userProgress.merger.merge(this.userProgress.getProgressData(), progressData, options);
+            progressData = merged.data;
+            mergeReport = merged.report;
+        }
         
         // Calculate what's being imported
-        const currentCompleted = new Set(this.userProgress.progress.completedSkills);
+        const currentCompletedSkills = this.userProgress.store.getCompletedSkills();
+        const currentCompleted = new Set(currentCompletedSkills);
         const importCompleted = new Set(progressData.completedSkills);
         
         const newSkills = progressData.completedSkills.filter(id => !currentCompleted.has(id));
-        const lostSkills = this.userProgress.progress.completedSkills.filter(id => !importCompleted.has(id));
+        const lostSkills = currentCompletedSkills.filter(id => !importCompleted.has(id));
         
-        // Update progress
-        this.userProgress.progress.completedSkills = [...progressData.completedSkills];
-        this.userProgress.progress.totalPoints = progressData.totalPoints;
-        this.userProgress.progress.categoryProgress = { ...progressData.categoryProgress };
+        // Update progress; totals are derived from the completion state, not copied
+        this.userProgress.progress.customSkills = progressData.customSkills || [];
+        this.userProgress.progress.customCategories = progressData.customCategories || [];
+        this.userProgress.progress.achievementProgress = progressData.achievementProgress || {};
+        this.userProgress.progress.practiceLog = progressData.practiceLog || {};
+        this.userProgress.progress.bookmarks = progressData.bookmarks || {};
         
         // Preserve creation date if not in import
         if (progressData.createdDate) {
             this.userProgress.progress.createdDate = progressData.createdDate;
         }
         
-        // Update last saved
-        this.userProgress.progress.lastSaved = new Date().toISOString();
-        
-        // Save to storage
-        this.userProgress.saveProgress();
+        // Replacing the completion state saves progress and notifies subscribers
+        this.userProgress.store.replaceState({
+            completedSkills: progressData.completedSkills,
+            skillRanks: progressData.skillRanks,
+            completionDates: progressData.completionDates
+        }, 'import');
         
         return {
             success: true,
@@ -217,8 +739,9 @@ class ImportExportController {
                 totalSkillsImported: progressData.completedSkills.length,
                 newSkillsAdded: newSkills.length,
                 skillsRemoved: lostSkills.length,
-                totalPoints: progressData.totalPoints,
-                categoriesUpdated: Object.keys(progressData.categoryProgress).length
+                totalPoints: this.userProgress.store.getTotalPoints(),
+                categoriesUpdated: Object.keys(importData.progress.categoryProgress || {}).length,
+                dateConflicts: mergeReport ? mergeReport.dateConflicts.length : 0
             }
         };
     }
@@ -228,7 +751,7 @@ class ImportExportController {
      */
     createBackup() {
         return {
-            progress: JSON.parse(JSON.stringify(this.userProgress.progress)),
+            progress: JSON.parse(JSON.stringify(this.userProgress.getProgressData())),
             timestamp: Date.now()
         };
     }
@@ -238,8 +761,11 @@ class ImportExportController {
      */
     restoreBackup(backup) {
         if (backup && backup.progress) {
-            this.userProgress.progress = backup.progress;
-            this.userProgress.saveProgress();
+            this.userProgress.applyProgressData(backup.progress, 'restore');
+            this.skillData.loadCustomContent(
+                this.userProgress.getCustomCategories(),
+                this.userProgress.getCustomSkills()
+            );
         }
     }
 
@@ -247,7 +773,7 @@ class ImportExportController {
      * Generate export statistics
      */
     generateExportStatistics() {
-        const stats = this.userProgress.getStats();
+        const stats = this.userProgress.getStats(this.skillData);
         const treeStats = this.skillData ? {
             totalSkillsAvailable: this.skillData.getAllSkills().length,
             categoriesAvailable: this.skillData.getAllCategories().length
@@ -291,44 +817,64 @@ class ImportExportController {
         const date = new Date();
         const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD
         const timeString = date.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
-        return `skill-tree-progress-${dateString}-${timeString}.json`;
+        const profileSlug = this.userProgress.profiles.getProfileSlug();
+        return `skill-tree-progress-${profileSlug}-${dateString}-${timeString}.json`;
     }
 
     /**
-     * Download progress as file
+     * Download progress as file. options.format is 'json' (default), 'csv' (one row per skill)
+     * or 'csv-summary' (one row per category); JSON is encrypted when options.passphrase is given.
      */
-    downloadProgress() {
-        const exportResult = this.exportProgress();
+    async downloadProgress(options = {}) {
+        let exportResult;
+        if (options.format === 'csv') {
+            exportResult = this.exportSkillsCSV();
+        } else if (options.format === 'csv-summary') {
+            exportResult = this.exportCategorySummaryCSV();
+        } else if (options.passphrase) {
+            exportResult = await this.exportEncryptedProgress(options.passphrase);
+        } else {
+            exportResult = this.exportProgress();
+        }
         
         if (!exportResult.success) {
             throw new Error(exportResult.error);
         }
 
-        // Create blob and download
-        const blob = new Blob([exportResult.data], { type: 'application/json' });
+        this.downloadFile(exportResult.data, exportResult.filename, exportResult.mimeType || 'application/json');
+        
+        return {
+            success: true,
+            filename: exportResult.filename,
+            size: exportResult.size,
+            encrypted: !!exportResult.encrypted
+        };
+    }
+
+    /**
+     * Save data (a string or Blob) as a file through a temporary download link
+     */
+    downloadFile(data, filename, mimeType) {
+        const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
         link.href = url;
-        link.download = exportResult.filename;
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
         
         // Clean up object URL
         setTimeout(() => URL.revokeObjectURL(url), 1000);
-        
-        return {
-            success: true,
-            filename: exportResult.filename,
-            size: exportResult.size
-        };
     }
 
     /**
-     * Import progress from file
+     * Import progress from file. Encrypted exports are detected and decrypted first;
+     * options.requestPassphrase(errorMessage) supplies the passphrase (defaults to a prompt).
+     * Other options are passed on to importProgress().
      */
-    importFromFile(file) {
+    importFromFile(file, options = {}) {
         return new Promise((resolve, reject) => {
             if (!file) {
                 reject(new Error('No file provided'));
@@ -336,8 +882,9 @@ class ImportExportController {
             }
 
             // Check file type
-            if (!file.name.toLowerCase().endsWith('.json')) {
-                reject(new Error('Invalid file type. Please select a JSON file.'));
+            const extension = file.name.toLowerCase().split('.').pop();
+            if (!this.supportedFormats.includes(extension)) {
+                reject(new Error('Invalid file type. Please select a JSON or CSV file.'));
                 return;
             }
 
@@ -350,10 +897,30 @@ class ImportExportController {
 
             const reader = new FileReader();
             
-            reader.onload = (event) => {
+            reader.onload = async (event) => {
                 try {
-                    const result = this.importProgress(event.target.result);
-                    resolve(result);
+                    let text = event.target.result;
+                    if (extension === 'csv') {
+                        resolve(this.importCSV(text));
+                        return;
+                    }
+                    if (this.crypto.isEncrypted(text)) {
+                        const decrypted = await this.crypto.decryptWithPrompt(
+                            text,
+                            options.requestPassphrase || (error => this.promptForPassphrase(file.name, error))
+                        );
+                        if (!decrypted.success) {
+                            resolve({
+                                success: false,
+                                cancelled: decrypted.cancelled,
+                                error: decrypted.error
+                            });
+                            return;
+                        }
+                        text = decrypted.data;
+                    }
+                    
+                    resolve(this.importProgress(text, options));
                 } catch (error) {
                     reject(error);
                 }
@@ -368,20 +935,76 @@ class ImportExportController {
     }
 
     /**
-     * Create shareable progress link (future enhancement)
+     * Ask for the passphrase of an encrypted file, repeating the last error if any
      */
-    createShareableLink() {
-        const exportResult = this.exportProgress();
-        
-        if (!exportResult.success) {
-            return null;
+    promptForPassphrase(fileName, errorMessage = null) {
+        const message = `"${fileName}" is encrypted. Enter its passphrase:`;
+        return prompt(errorMessage ? `${errorMessage}.\n\n${message}` : message);
+    }
+
+    /**
+     * Create a link that opens a read-only view of the completed skills.
+     * Only completion is shared: no dates, notes or custom skills.
+     * Returns { success, url, skillCount, omitted } or { success: false, error }.
+     */
+    async createShareableLink(baseUrl = window.location.href) {
+        try {
+            const { token, skillCount, omitted } = await this.shareLink.encode(this.userProgress.store.getCompletedSkills());
+            return {
+                success: true,
+                url: this.shareLink.createURL(token, baseUrl),
+                skillCount,
+                omitted
+            };
+        } catch (error) {
+            console.error('Share link error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
         }
+    }
+
+    /**
+     * Wrap skills completed in a shared link in an export envelope, so they can be
+     * previewed and imported like a file. Links carry no dates; completions are dated now.
+     */
+    createSharedEnvelope(completedSkills) {
+        const now = new Date().toISOString();
+        return JSON.stringify({
+            format: this.FORMAT,
+            envelopeVersion: this.ENVELOPE_VERSION,
+            metadata: {
+                version: this.currentVersion,
+                exportDate: now,
+                appName: 'Life Skills Skill Tree',
+                description: 'Progress from a shared link'
+            },
+            progress: {
+                completedSkills,
+                skillRanks: {},
+                completionDates: Object.fromEntries(completedSkills.map(skillId => [skillId, now]))
+            }
+        });
+    }
+
+    /**
+     * Compare skills completed in a shared link with the current progress
+     */
+    compareSharedProgress(completedSkills) {
+        const theirs = new Set(completedSkills);
+        const mine = new Set(this.userProgress.store.getCompletedSkills().filter(skillId => {
+            const skill = this.skillData.getSkill(skillId);
+            return skill && !skill.custom; // Custom skills are never shared
+        }));
+        const score = data => this.userProgress.scoring.score(data);
 
-        // For now, just return the data for manual sharing
-        // In the future, this could upload to a sharing service
         return {
-            data: exportResult.data,
-            suggestion: 'Copy this data and share it with others. They can import it using the Import function.'
+            onlyTheirs: [...theirs].filter(skillId => !mine.has(skillId)),
+            onlyMine: [...mine].filter(skillId => !theirs.has(skillId)),
+            both: [...theirs].filter(skillId => mine.has(skillId)),
+            theirPoints: score({ completedSkills }).totalPoints,
+            myPoints: score(this.userProgress.store.getState()).totalPoints
         };
     }
 
@@ -394,8 +1017,8 @@ class ImportExportController {
         if (!file) {
             errors.push('No file selected');
         } else {
-            if (!file.name.toLowerCase().endsWith('.json')) {
-                errors.push('File must be a JSON file');
+            if (!this.supportedFormats.includes(file.name.toLowerCase().split('.').pop())) {
+                errors.push('File must be a JSON or CSV file');
             }
             
             if (file.size === 0) {
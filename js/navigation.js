@@ -4,8 +4,9 @@
  */
 
 class NavigationController {
-    constructor(canvasRenderer) {
+    constructor(canvasRenderer, userProgress = null) {
         this.canvasRenderer = canvasRenderer;
+        this.userProgress = userProgress; // When given, bookmarks are saved with the active profile
         this.panSpeed = 1;
         this.zoomSpeed = 0.1;
         this.minZoom = 0.1;
@@ -17,7 +18,7 @@ class NavigationController {
         this.viewHistory = [];
         this.historyIndex = -1;
         
-        // Bookmarks for quick navigation
+        // Bookmarks for quick navigation (used when there is no user progress to save them in)
         this.bookmarks = new Map();
         
         this.setupKeyboardShortcuts();
@@ -355,13 +356,17 @@ class NavigationController {
     createBookmark(name) {
         if (!this.canvasRenderer) return false;
 
-        this.bookmarks.set(name, {
+        const view = {
             scale: this.canvasRenderer.scale,
             offsetX: this.canvasRenderer.offsetX,
             offsetY: this.canvasRenderer.offsetY,
             created: Date.now()
-        });
+        };
 
+        if (this.userProgress) {
+            return this.userProgress.saveBookmark(name, view);
+        }
+        this.bookmarks.set(name, view);
         return true;
     }
 
@@ -369,7 +374,7 @@ class NavigationController {
      * Navigate to bookmark
      */
     goToBookmark(name) {
-        const bookmark = this.bookmarks.get(name);
+        const bookmark = this.userProgress ? this.userProgress.getBookmark(name) : this.bookmarks.get(name);
         if (bookmark && this.canvasRenderer) {
             // Convert to world coordinates for animation
             const worldX = (-bookmark.offsetX + this.canvasRenderer.width / 2) / bookmark.scale;
@@ -385,7 +390,10 @@ class NavigationController {
      * Get all bookmarks
      */
     getBookmarks() {
-        return Array.from(this.bookmarks.entries()).map(([name, data]) => ({
+        const bookmarks = this.userProgress
+            ? Object.entries(this.userProgress.getBookmarks())
+            : Array.from(this.bookmarks.entries());
+        return bookmarks.map(([name, data]) => ({
             name,
             created: new Date(data.created)
         }));
@@ -395,6 +403,9 @@ class NavigationController {
      * Delete bookmark
      */
     deleteBookmark(name) {
+        if (this.userProgress) {
+            return this.userProgress.deleteBookmark(name);
+        }
         return this.bookmarks.delete(name);
     }
 
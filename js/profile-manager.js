@@ -0,0 +1,194 @@
+/**
+ * Profile Manager
+ * Named profiles sharing one device. Each profile keeps its own progress,
+ * custom skills, bookmarks, history and snapshots under profile-scoped
+ * storage keys; the default profile uses the original unscoped keys.
+ */
+
+class ProfileManager {
+    constructor(userProgress) {
+        this.userProgress = userProgress;
+        this.STORAGE_KEY = 'skillTreeProfiles';
+        this.DEFAULT_PROFILE_ID = 'default';
+        this.profiles = [this.createDefaultProfile()];
+        this.activeProfileId = this.DEFAULT_PROFILE_ID;
+    }
+
+    /**
+     * The profile that owns progress saved before profiles existed
+     */
+    createDefaultProfile() {
+        return {
+            id: this.DEFAULT_PROFILE_ID,
+            name: 'Default',
+            createdDate: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Load the profile list through the user progress storage adapter
+     */
+    async loadProfiles() {
+        try {
+            const stored = await this.userProgress.storage.get(this.STORAGE_KEY);
+            if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+                this.profiles = stored.profiles;
+                this.activeProfileId = this.getProfile(stored.activeProfileId)
+                    ? stored.activeProfileId
+                    : this.profiles[0].id;
+            }
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    }
+
+    /**
+     * Save the profile list
+     */
+    async saveProfiles() {
+        try {
+            await this.userProgress.storage.set(this.STORAGE_KEY, {
+                activeProfileId: this.activeProfileId,
+                profiles: this.profiles
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Scope a storage key to a profile
+     */
+    getStorageKey(baseKey, profileId = this.activeProfileId) {
+        return profileId === this.DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+    }
+
+    /**
+     * Get all profiles
+     */
+    getProfiles() {
+        return [...this.profiles];
+    }
+
+    /**
+     * Get a profile by ID
+     */
+    getProfile(profileId) {
+        return this.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Get the profile whose progress is loaded
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    /**
+     * File-name-safe version of a profile's name (for exports)
+     */
+    getProfileSlug(profileId = this.activeProfileId) {
+        const profile = this.getProfile(profileId);
+        const slug = profile ? profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') : '';
+        return slug || 'profile';
+    }
+
+    /**
+     * Check a profile name; returns an error message or null
+     */
+    validateName(name, ignoreProfileId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            return 'Profile name is required';
+        }
+        if (trimmed.length > 40) {
+            return 'Profile name must be 40 characters or fewer';
+        }
+        const taken = this.profiles.some(profile =>
+            profile.id !== ignoreProfileId && profile.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        return taken ? `A profile named "${trimmed}" already exists` : null;
+    }
+
+    /**
+     * Create a new, empty profile
+     */
+    async createProfile(name) {
+        const error = this.validateName(name);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const profile = {
+            id: `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            createdDate: new Date().toISOString()
+        };
+        this.profiles.push(profile);
+        await this.saveProfiles();
+        return { success: true, profile };
+    }
+
+    /**
+     * Rename a profile
+     */
+    async renameProfile(profileId, name) {
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            return { success: false, error: `Profile not found: ${profileId}` };
+        }
+
+        const error = this.validateName(name, profileId);
+        if (error) {
+            return { success: false, error };
+        }
+
+        profile.name = name.trim();
+        await this.saveProfiles();
+        return { success: true, profile };
+    }
+
+    /**
+     * Delete a profile and everything stored for it. The active profile cannot be deleted.
+     */
+    async deleteProfile(profileId) {
+        if (!this.getProfile(profileId)) {
+            return { success: false, error: `Profile not found: ${profileId}` };
+        }
+        if (profileId === this.activeProfileId) {
+            return { success: false, error: 'Switch to another profile before deleting this one' };
+        }
+
+        // Profile keys look like "<baseKey>:<profileId>" plus suffixes such as ".backup-v1.0.0"
+        const storage = this.userProgress.storage;
+        const profileKeys = (await storage.keys()).filter(key =>
+            profileId === this.DEFAULT_PROFILE_ID
+                ? !key.includes(':') && key !== this.STORAGE_KEY && key.startsWith('skillTree')
+                : key.split('.')[0].endsWith(`:${profileId}`)
+        );
+        for (const key of profileKeys) {
+            await storage.remove(key);
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+        await this.saveProfiles();
+        return { success: true };
+    }
+
+    /**
+     * Mark a profile as active (UserProgress.switchProfile() loads its data)
+     */
+    async setActiveProfile(profileId) {
+        if (!this.getProfile(profileId)) {
+            return false;
+        }
+        this.activeProfileId = profileId;
+        await this.saveProfiles();
+        return true;
+    }
+}
+
+// Export for use in other modules
+window.ProfileManager = ProfileManager;
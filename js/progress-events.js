@@ -0,0 +1,221 @@
+/**
+ * Progress Event Log
+ * Append-only record of every completion state change: skills completed and
+ * uncompleted, imports and resets, each with a timestamp and its source
+ * ('user', 'undo', 'redo', 'import', ...). Unlike completionDates, nothing is
+ * erased when a skill is uncompleted, so recent activity and statistics can be
+ * read from the log. Stored per profile and included in exports.
+ */
+
+class ProgressEventLog {
+    constructor(userProgress) {
+        this.userProgress = userProgress;
+        this.STORAGE_KEY = 'skillTreeEvents';
+        this.TYPES = ['completed', 'uncompleted', 'imported', 'reset'];
+        this.events = []; // Oldest first
+        this.listeners = new Set();
+
+        // Events are read by UserProgress once its storage adapter is ready
+        this.loaded = false;
+    }
+
+    /**
+     * Load the log through the user progress storage adapter. Progress saved before
+     * the log existed is backfilled with one 'completed' event per dated completion.
+     */
+    async loadEvents() {
+        try {
+            const stored = await this.userProgress.storage.get(this.userProgress.profiles.getStorageKey(this.STORAGE_KEY));
+            this.loaded = true;
+            if (Array.isArray(stored)) {
+                this.events = stored;
+            } else {
+                this.events = this.createBackfill();
+                if (this.events.length > 0) {
+                    await this.saveEvents();
+                }
+            }
+        } catch (error) {
+            console.error('Error loading progress events:', error);
+            this.events = [];
+        }
+    }
+
+    /**
+     * 'completed' events for completions recorded before the log existed
+     */
+    createBackfill() {
+        const { completedSkills, completionDates } = this.userProgress.store.getState();
+        return completedSkills
+            .filter(skillId => completionDates[skillId])
+            .map(skillId => this.createEvent('completed', { skillId, source: 'backfill' }, completionDates[skillId]))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Save the log. Events appended by other tabs since the last load are kept:
+     * the stored and in-memory logs are unioned by event ID.
+     */
+    async saveEvents() {
+        if (!this.loaded) return false;
+
+        const key = this.userProgress.profiles.getStorageKey(this.STORAGE_KEY);
+        try {
+            const stored = await this.userProgress.storage.get(key);
+            if (Array.isArray(stored)) {
+                this.addEvents(stored);
+            }
+            await this.userProgress.storage.set(key, this.events);
+            return true;
+        } catch (error) {
+            console.error('Error saving progress events:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build an event object
+     */
+    createEvent(type, details = {}, timestamp = new Date().toISOString()) {
+        return {
+            id: `event_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            timestamp,
+            source: 'user',
+            ...details
+        };
+    }
+
+    /**
+     * Append an event. Type is 'completed', 'uncompleted', 'imported' or 'reset';
+     * details carry the source and, for skill events, the skillId.
+     */
+    append(type, details = {}) {
+        if (!this.TYPES.includes(type)) {
+            console.error(`Unknown progress event type: ${type}`);
+            return null;
+        }
+
+        const event = this.createEvent(type, details);
+        this.events.push(event);
+        this.saveEvents();
+        this.notifyListeners('event-logged', event);
+        return event;
+    }
+
+    /**
+     * Record a progress store change (called by UserProgress for user-driven changes)
+     */
+    recordStoreChange(storeEvent, data) {
+        if (storeEvent === 'skill-completed') {
+            this.append('completed', { skillId: data.skillId, rank: data.rank, source: data.reason || 'user' });
+        } else if (storeEvent === 'skill-uncompleted') {
+            this.append('uncompleted', { skillId: data.skillId, rank: data.rank, source: data.reason || 'user' });
+        }
+    }
+
+    /**
+     * Add events from another log (an import or another tab), skipping ones already present
+     */
+    addEvents(events) {
+        const known = new Set(this.events.map(event => event.id));
+        const added = (Array.isArray(events) ? events : []).filter(event =>
+            event && event.id && !known.has(event.id) && this.TYPES.includes(event.type) && !isNaN(new Date(event.timestamp))
+        );
+        if (added.length === 0) return 0;
+
+        this.events = [...this.events, ...added].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        return added.length;
+    }
+
+    /**
+     * Get events, newest first. Filters: { type, skillId, since (date), limit }.
+     */
+    getEvents(filters = {}) {
+        const since = filters.since ? new Date(filters.since) : null;
+        const events = this.events.filter(event =>
+            (!filters.type || event.type === filters.type) &&
+            (!filters.skillId || event.skillId === filters.skillId) &&
+            (!since || new Date(event.timestamp) >= since)
+        ).reverse();
+        return filters.limit ? events.slice(0, filters.limit) : events;
+    }
+
+    /**
+     * Skill IDs completed within the last `days` days and still completed,
+     * newest first, each with the time of its latest completion
+     */
+    getRecentlyCompleted(days = 7) {
+        const since = new Date();
+        since.setDate(since.getDate() - days);
+
+        const seen = new Set();
+        const recent = [];
+        for (const event of this.getEvents({ since })) {
+            if (!event.skillId || seen.has(event.skillId)) continue;
+            seen.add(event.skillId);
+
+            if (event.type === 'completed' && this.userProgress.store.isCompleted(event.skillId)) {
+                recent.push({ skillId: event.skillId, completedAt: event.timestamp });
+            }
+        }
+        return recent;
+    }
+
+    /**
+     * Summarise the log: completion counts, recent activity and active days
+     */
+    getStats() {
+        const daysAgo = days => {
+            const date = new Date();
+            date.setDate(date.getDate() - days);
+            return date;
+        };
+        const completions = this.events.filter(event => event.type === 'completed');
+        const weekAgo = daysAgo(7);
+        const monthAgo = daysAgo(30);
+
+        return {
+            totalEvents: this.events.length,
+            completions: completions.length,
+            uncompletions: this.events.filter(event => event.type === 'uncompleted').length,
+            imports: this.events.filter(event => event.type === 'imported').length,
+            resets: this.events.filter(event => event.type === 'reset').length,
+            completedLast7Days: completions.filter(event => new Date(event.timestamp) >= weekAgo).length,
+            completedLast30Days: completions.filter(event => new Date(event.timestamp) >= monthAgo).length,
+            activeDays: new Set(completions.map(event => new Date(event.timestamp).toDateString())).size,
+            firstCompletion: completions.length > 0 ? completions[0].timestamp : null,
+            lastActivity: this.events.length > 0 ? this.events[this.events.length - 1].timestamp : null
+        };
+    }
+
+    /**
+     * Add event listener for logged events
+     */
+    addEventListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of logged events
+     */
+    notifyListeners(event, data) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Error in progress event listener:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.ProgressEventLog = ProgressEventLog;
@@ -0,0 +1,243 @@
+/**
+ * Progress History
+ * Undo/redo command history for progress changes, persisted alongside user progress
+ */
+
+class ProgressHistory {
+    constructor(userProgress) {
+        this.userProgress = userProgress;
+        this.STORAGE_KEY = 'skillTreeHistory';
+        this.MAX_ENTRIES = 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = new Set();
+
+        // Changes made while applying history or inside capture() are not recorded again
+        this.recording = true;
+
+        // History is read by UserProgress once its storage adapter is ready
+        this.loaded = false;
+        userProgress.store.subscribe((event, data) => this.handleStoreChange(event, data));
+    }
+
+    /**
+     * Load history through the user progress storage adapter
+     */
+    async loadHistory() {
+        try {
+            const stored = await this.userProgress.storage.get(this.userProgress.profiles.getStorageKey(this.STORAGE_KEY));
+            this.undoStack = stored && Array.isArray(stored.undo) ? stored.undo : [];
+            this.redoStack = stored && Array.isArray(stored.redo) ? stored.redo : [];
+            this.loaded = true;
+            this.notifyListeners('history-loaded', null);
+        } catch (error) {
+            console.error('Error loading progress history:', error);
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+    }
+
+    /**
+     * Save history, dropping the oldest entries if storage is full
+     */
+    async saveHistory() {
+        if (!this.loaded) return false;
+
+        try {
+            await this.userProgress.storage.set(
+                this.userProgress.profiles.getStorageKey(this.STORAGE_KEY),
+                { undo: this.undoStack, redo: this.redoStack }
+            );
+            return true;
+        } catch (error) {
+            console.error('Error saving progress history:', error);
+
+            if (error.name === 'QuotaExceededError' && this.undoStack.length > 1) {
+                this.undoStack = this.undoStack.slice(Math.ceil(this.undoStack.length / 2));
+                this.redoStack = [];
+                return this.saveHistory();
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Record single-skill completion changes made through the progress store
+     */
+    handleStoreChange(event, data) {
+        if (!this.recording) return;
+
+        if (event === 'skill-completed' || event === 'skill-uncompleted' || event === 'skill-rank-changed') {
+            this.push({
+                type: 'rank',
+                skillId: data.skillId,
+                from: data.previousRank,
+                to: data.rank,
+                fromDate: data.previousCompletedDate,
+                toDate: data.completedDate,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Run a bulk change (import, reset) and record it as one undoable step
+     * by snapshotting the full progress before and after
+     */
+    capture(label, change) {
+        const before = this.userProgress.getProgressData();
+        const wasRecording = this.recording;
+        this.recording = false;
+
+        let result;
+        try {
+            result = change();
+        } finally {
+            this.recording = wasRecording;
+        }
+
+        // Failed changes (false result) leave nothing to undo
+        if (result !== false) {
+            this.push({
+                type: 'snapshot',
+                label,
+                before,
+                after: this.userProgress.getProgressData(),
+                timestamp: new Date().toISOString()
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Add an entry to the undo stack; a new change discards the redo stack
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.saveHistory();
+        this.notifyListeners('history-recorded', entry);
+    }
+
+    /**
+     * Undo the most recent change. Returns the undone entry, or null.
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.apply(entry, 'undo');
+        this.redoStack.push(entry);
+        this.saveHistory();
+        this.notifyListeners('history-undone', entry);
+        return entry;
+    }
+
+    /**
+     * Redo the most recently undone change. Returns the redone entry, or null.
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.apply(entry, 'redo');
+        this.undoStack.push(entry);
+        this.saveHistory();
+        this.notifyListeners('history-redone', entry);
+        return entry;
+    }
+
+    /**
+     * Apply one side of a history entry to the progress
+     */
+    apply(entry, direction) {
+        const isUndo = direction === 'undo';
+        this.recording = false;
+
+        try {
+            if (entry.type === 'rank') {
+                this.userProgress.store.setRank(
+                    entry.skillId,
+                    isUndo ? entry.from : entry.to,
+                    isUndo ? entry.fromDate : entry.toDate,
+                    direction
+                );
+            } else {
+                this.userProgress.applyProgressData(isUndo ? entry.before : entry.after, direction);
+            }
+        } finally {
+            this.recording = true;
+        }
+    }
+
+    /**
+     * Check if there is anything to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the entry that undo() would revert, or null
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Get the entry that redo() would re-apply, or null
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Clear all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.saveHistory();
+        this.notifyListeners('history-cleared', null);
+    }
+
+    /**
+     * Add event listener for history changes
+     */
+    addEventListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of history changes
+     */
+    notifyListeners(event, data) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Error in progress history listener:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.ProgressHistory = ProgressHistory;
@@ -0,0 +1,174 @@
+/**
+ * Progress Merge
+ * Combines imported progress with the progress already on this device instead
+ * of replacing it: completed skills are unioned, each skill keeps the earliest
+ * or latest completion date, and points are recomputed from skill definitions.
+ * preview() reports the conflicts before anything is applied.
+ */
+
+class ProgressMerge {
+    constructor(userProgress) {
+        this.userProgress = userProgress;
+
+        // Which date a skill completed on both sides keeps, unless the caller chooses:
+        // the earliest one is when the skill was first completed
+        this.DEFAULT_KEEP_DATE = 'earliest';
+    }
+
+    /**
+     * Merge incoming progress into current progress.
+     * Options: { keepDate: 'earliest' | 'latest' } - which date wins when both sides completed a skill
+     * (DEFAULT_KEEP_DATE when not given).
+     * Returns { data, report }: data is the merged progress, report lists what was added and
+     * every conflict, with importedDate set to the time of the merge.
+     */
+    merge(current, incoming, options = {}) {
+        const keepDate = ['earliest', 'latest'].includes(options.keepDate) ? options.keepDate : this.DEFAULT_KEEP_DATE;
+        const pickDate = (a, b) => {
+            if (!a || !b) return a || b;
+            const aFirst = new Date(a) <= new Date(b);
+            return (keepDate === 'earliest') === aFirst ? a : b;
+        };
+
+        // When the merge happened belongs to the report; data is stored as progress
+        const report = {
+            keepDate,
+            importedDate: new Date().toISOString(),
+            added: [],
+            dateConflicts: [],
+            rankConflicts: [],
+            customConflicts: []
+        };
+
+        // Completed skills: union, with one completion date per skill
+        const currentCompleted = new Set(current.completedSkills || []);
+        const incomingCompleted = new Set(incoming.completedSkills || []);
+        const completedSkills = [...new Set([...currentCompleted, ...incomingCompleted])];
+        report.added = [...incomingCompleted].filter(id => !currentCompleted.has(id));
+
+        const currentDates = current.completionDates || {};
+        const incomingDates = incoming.completionDates || {};
+        const completionDates = {};
+        completedSkills.forEach(skillId => {
+            const currentDate = currentCompleted.has(skillId) ? currentDates[skillId] : undefined;
+            const incomingDate = incomingCompleted.has(skillId) ? incomingDates[skillId] : undefined;
+            const kept = pickDate(currentDate, incomingDate);
+            if (kept) {
+                completionDates[skillId] = kept;
+            }
+            if (currentDate && incomingDate && currentDate !== incomingDate) {
+                report.dateConflicts.push({ skillId, current: currentDate, imported: incomingDate, kept });
+            }
+        });
+
+        // Ranks: the higher rank wins; completed skills count as fully ranked
+        const completed = new Set(completedSkills);
+        const currentRanks = current.skillRanks || {};
+        const incomingRanks = incoming.skillRanks || {};
+        const skillRanks = {};
+        new Set([...Object.keys(currentRanks), ...Object.keys(incomingRanks)]).forEach(skillId => {
+            if (completed.has(skillId)) return;
+
+            const currentRank = currentRanks[skillId] || 0;
+            const incomingRank = incomingRanks[skillId] || 0;
+            skillRanks[skillId] = Math.max(currentRank, incomingRank);
+            if (currentRank && incomingRank && currentRank !== incomingRank) {
+                report.rankConflicts.push({
+                    skillId,
+                    current: currentRank,
+                    imported: incomingRank,
+                    kept: skillRanks[skillId]
+                });
+            }
+        });
+
+        // Custom content: union by ID; this device's definition wins on a clash
+        const mergeCustom = (field, idField, type) => {
+            const merged = new Map((current[field] || []).map(item => [item[idField], item]));
+            (incoming[field] || []).forEach(item => {
+                const existing = merged.get(item[idField]);
+                if (!existing) {
+                    merged.set(item[idField], item);
+                } else if (JSON.stringify(existing) !== JSON.stringify(item)) {
+                    report.customConflicts.push({ type, id: item[idField], name: existing.name });
+                }
+            });
+            return [...merged.values()];
+        };
+
+        // Achievements: union per skill, dated like skill completions
+        const achievementProgress = { ...(current.achievementProgress || {}) };
+        Object.entries(incoming.achievementProgress || {}).forEach(([skillId, achievements]) => {
+            const mergedAchievements = { ...(achievementProgress[skillId] || {}) };
+            Object.entries(achievements).forEach(([index, date]) => {
+                mergedAchievements[index] = pickDate(mergedAchievements[index], date);
+            });
+            achievementProgress[skillId] = mergedAchievements;
+        });
+
+        // Practice sessions: union by session ID
+        const practiceLog = { ...(current.practiceLog || {}) };
+        Object.entries(incoming.practiceLog || {}).forEach(([skillId, sessions]) => {
+            const byId = new Map([...sessions, ...(practiceLog[skillId] || [])].map(session => [session.id, session]));
+            practiceLog[skillId] = [...byId.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+        });
+
+        const createdDates = [current.createdDate, incoming.createdDate].filter(Boolean).sort();
+
+        const data = {
+            ...current,
+            completedSkills,
+            skillRanks,
+            completionDates,
+            customSkills: mergeCustom('customSkills', 'skill_id', 'skill'),
+            customCategories: mergeCustom('customCategories', 'id', 'category'),
+            achievementProgress,
+            practiceLog,
+            bookmarks: { ...(incoming.bookmarks || {}), ...(current.bookmarks || {}) },
+            createdDate: createdDates[0] || current.createdDate
+        };
+
+        return { data, report };
+    }
+
+    /**
+     * Describe what importing would change, without applying it.
+     * Mode 'merge' reports conflicts; mode 'replace' reports the skills that would be lost.
+     */
+    preview(incoming, options = {}) {
+        const current = this.userProgress.getProgressData();
+        const mode = options.mode === 'replace' ? 'replace' : 'merge';
+
+        let data;
+        let report;
+        if (mode === 'merge') {
+            ({ data, report } = this.merge(current, incoming, options));
+        } else {
+            const incomingCompleted = new Set(incoming.completedSkills);
+            const currentCompleted = new Set(current.completedSkills);
+            data = incoming;
+            report = {
+                added: incoming.completedSkills.filter(id => !currentCompleted.has(id)),
+                removed: current.completedSkills.filter(id => !incomingCompleted.has(id))
+            };
+        }
+
+        return {
+            mode,
+            ...report,
+            currentPoints: current.totalPoints,
+            resultPoints: this.computePoints(data)
+        };
+    }
+
+    /**
+     * Points for a progress object (a file's own totalPoints is never trusted)
+     */
+    computePoints(data) {
+        const score = this.userProgress.scoring.score(data);
+        return score ? score.totalPoints : null;
+    }
+}
+
+// Export for use in other modules
+window.ProgressMerge = ProgressMerge;
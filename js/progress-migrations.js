@@ -0,0 +1,133 @@
+/**
+ * Progress Migrations
+ * Registry of schema upgrades for stored and imported progress. Each migration
+ * upgrades a payload by one version; migrate() chains them from the payload's
+ * version up to the current one instead of discarding older data.
+ */
+
+class ProgressMigrations {
+    constructor() {
+        this.CURRENT_VERSION = '1.1.0';
+        this.migrations = new Map(); // 'major.minor' of the source version -> migration step
+        this.registerDefaults();
+    }
+
+    /**
+     * Register a migration that upgrades payloads from one version to the next.
+     * The upgrade function receives a copy of the payload and returns the upgraded payload.
+     */
+    register(fromVersion, toVersion, description, upgrade) {
+        this.migrations.set(this.getSchemaKey(fromVersion), {
+            from: fromVersion,
+            to: toVersion,
+            description,
+            upgrade
+        });
+    }
+
+    /**
+     * Built-in migrations for every released progress schema
+     */
+    registerDefaults() {
+        // 1.0 payloads predate ranks, completion dates, achievements and the practice log
+        this.register('1.0.0', '1.1.0', 'Add skill ranks, completion dates, achievement progress and practice log', data => {
+            const completedSkills = Array.isArray(data.completedSkills)
+                ? [...new Set(data.completedSkills.filter(id => typeof id === 'string'))]
+                : [];
+            const completionDates = {};
+            for (const [skillId, date] of Object.entries(data.completionDates || {})) {
+                if (completedSkills.includes(skillId)) {
+                    completionDates[skillId] = date;
+                }
+            }
+
+            return {
+                ...data,
+                completedSkills,
+                skillRanks: data.skillRanks || {},
+                completionDates,
+                customSkills: data.customSkills || [],
+                customCategories: data.customCategories || [],
+                achievementProgress: data.achievementProgress || {},
+                practiceLog: data.practiceLog || {}
+            };
+        });
+    }
+
+    /**
+     * Reduce a version to the 'major.minor' key migrations are registered under;
+     * patch releases never change the schema
+     */
+    getSchemaKey(version) {
+        const [major = '0', minor = '0'] = String(version).split('.');
+        return `${parseInt(major, 10) || 0}.${parseInt(minor, 10) || 0}`;
+    }
+
+    /**
+     * Compare two versions by schema key: negative, zero or positive
+     */
+    compareVersions(a, b) {
+        const [aMajor, aMinor] = this.getSchemaKey(a).split('.').map(Number);
+        const [bMajor, bMinor] = this.getSchemaKey(b).split('.').map(Number);
+        return aMajor - bMajor || aMinor - bMinor;
+    }
+
+    /**
+     * Check whether a payload of the given version can be brought up to date
+     */
+    canMigrate(version) {
+        return this.migrate({}, version).success;
+    }
+
+    /**
+     * Upgrade a payload step by step to the current version. The input is not modified.
+     * Payloads without a version are treated as 1.0.0, the first released schema.
+     * Returns { success, data, fromVersion, toVersion, applied: [{ from, to, description }] }
+     * or { success: false, error, fromVersion, applied: [] }.
+     */
+    migrate(data, version = data && data.version) {
+        const fromVersion = version || '1.0.0';
+        const report = { fromVersion, toVersion: this.CURRENT_VERSION, applied: [] };
+
+        if (this.compareVersions(fromVersion, this.CURRENT_VERSION) > 0) {
+            return {
+                ...report,
+                success: false,
+                error: `Progress was saved by a newer version of the app (${fromVersion})`
+            };
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data || {}));
+        let current = fromVersion;
+        while (this.compareVersions(current, this.CURRENT_VERSION) < 0) {
+            const step = this.migrations.get(this.getSchemaKey(current));
+            if (!step) {
+                return {
+                    ...report,
+                    success: false,
+                    error: `No migration available from version ${current}`
+                };
+            }
+
+            try {
+                migrated = step.upgrade(migrated);
+            } catch (error) {
+                console.error(`Migration ${step.from} -> ${step.to} failed:`, error);
+                return {
+                    ...report,
+                    success: false,
+                    error: `Migration from ${step.from} to ${step.to} failed: ${error.message}`
+                };
+            }
+
+            report.applied.push({ from: current, to: step.to, description: step.description });
+            current = step.to;
+        }
+
+        migrated.version = this.CURRENT_VERSION;
+        return { ...report, success: true, data: migrated };
+    }
+}
+
+// Export for use in other modules
+window.ProgressMigrations = ProgressMigrations;
@@ -0,0 +1,244 @@
+/**
+ * Progress Report
+ * Builds a progress report from the skill tree: overall statistics, completion
+ * per category, recent completions from the event log and recommended next
+ * skills. The same report data is rendered as Markdown or as HTML; the HTML is
+ * styled by css/report.css, whose print rules make it ready to save as PDF.
+ */
+
+class ProgressReport {
+    constructor(skillTree, skillData, userProgress) {
+        this.skillTree = skillTree;
+        this.skillData = skillData;
+        this.userProgress = userProgress;
+        this.RECENT_DAYS = 30;
+        this.RECENT_LIMIT = 10;
+        this.BAR_WIDTH = 20; // Characters in a Markdown progress bar
+    }
+
+    /**
+     * Gather everything the report shows
+     */
+    collect() {
+        const stats = this.skillTree.getTreeStatistics();
+        const categoryName = categoryId => {
+            const category = this.skillData.getCategory(categoryId);
+            return category ? category.name : categoryId;
+        };
+        const describeSkill = skill => ({
+            id: skill.skill_id,
+            name: skill.name,
+            category: categoryName(skill.category),
+            points: this.skillData.getMaxPoints(skill),
+            timeRequired: skill.timeRequired || ''
+        });
+
+        const categories = this.skillData.getAllCategories().map(category => ({
+            id: category.id,
+            name: category.name,
+            icon: category.icon || '',
+            total: stats.categoryStats[category.id].total,
+            completed: stats.categoryStats[category.id].completed,
+            percentage: stats.categoryStats[category.id].percentage,
+            points: this.userProgress.getCategoryProgress(category.id).points
+        }));
+
+        const recent = this.userProgress.events.getRecentlyCompleted(this.RECENT_DAYS)
+            .slice(0, this.RECENT_LIMIT)
+            .map(({ skillId, completedAt }) => {
+                const skill = this.skillData.getSkill(skillId);
+                return skill ? { ...describeSkill(skill), completedAt } : null;
+            })
+            .filter(Boolean);
+
+        const recommended = this.skillTree.getRecommendedSkills();
+
+        return {
+            generatedAt: new Date().toISOString(),
+            profileName: this.userProgress.profiles.getActiveProfile().name,
+            totalSkills: stats.totalSkills,
+            completedSkills: stats.completedSkills,
+            overallPercentage: stats.overallPercentage,
+            totalPoints: this.userProgress.getTotalPoints(),
+            activity: this.userProgress.events.getStats(),
+            categories,
+            recent,
+            recommended: {
+                unlocked: recommended.unlocked.map(describeSkill),
+                nearlyUnlocked: recommended.nearlyUnlocked.map(describeSkill)
+            }
+        };
+    }
+
+    /**
+     * Render the report as Markdown
+     */
+    toMarkdown(report = this.collect()) {
+        const md = text => String(text).replace(/([\\`*_[\]|<>#])/g, '\\$1');
+        const bar = percentage => {
+            const filled = Math.round((percentage / 100) * this.BAR_WIDTH);
+            return `${'█'.repeat(filled)}${'░'.repeat(this.BAR_WIDTH - filled)}`;
+        };
+        const lines = [
+            '# Life Skills Progress Report',
+            '',
+            `**Profile:** ${md(report.profileName)}  `,
+            `**Generated:** ${this.formatDate(report.generatedAt)}`,
+            '',
+            '## Overview',
+            '',
+            `- **Skills completed:** ${report.completedSkills} of ${report.totalSkills} (${report.overallPercentage}%)`,
+            `- **Total points:** ${report.totalPoints}`,
+            `- **Completed in the last 30 days:** ${report.activity.completedLast30Days}`,
+            `- **Active days:** ${report.activity.activeDays}`,
+            '',
+            '## Categories',
+            '',
+            '| Category | Progress | Completed | Points |',
+            '| --- | --- | --- | --- |',
+            ...report.categories.map(category =>
+                `| ${md(category.name)} | \`${bar(category.percentage)}\` ${category.percentage}% | ${category.completed}/${category.total} | ${category.points} |`
+            ),
+            '',
+            `## Recently Completed (last ${this.RECENT_DAYS} days)`,
+            ''
+        ];
+
+        if (report.recent.length > 0) {
+            report.recent.forEach(skill => {
+                lines.push(`- ${this.formatDate(skill.completedAt)}: **${md(skill.name)}** (${md(skill.category)}, ${skill.points} pts)`);
+            });
+        } else {
+            lines.push('_No skills completed recently._');
+        }
+
+        lines.push('', '## Recommended Next Skills', '');
+        if (report.recommended.unlocked.length > 0) {
+            report.recommended.unlocked.forEach(skill => {
+                const time = skill.timeRequired ? `, ${md(skill.timeRequired)}` : '';
+                lines.push(`- **${md(skill.name)}** (${md(skill.category)}, ${skill.points} pts${time})`);
+            });
+        } else {
+            lines.push('_No skills are available right now._');
+        }
+        if (report.recommended.nearlyUnlocked.length > 0) {
+            lines.push('', 'Almost unlocked:', '');
+            report.recommended.nearlyUnlocked.forEach(skill => {
+                lines.push(`- ${md(skill.name)} (${md(skill.category)})`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render the report body as HTML (an <article class="report">)
+     */
+    toHTML(report = this.collect()) {
+        const html = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const skillItem = (skill, extra = '') => `
+            <li><strong>${html(skill.name)}</strong> <span class="report-muted">${html(skill.category)} · ${skill.points} pts${extra}</span></li>`;
+
+        const categories = report.categories.map(category => `
+            <tr>
+                <th scope="row">${html(`${category.icon} ${category.name}`.trim())}</th>
+                <td>
+                    <div class="report-bar" role="img" aria-label="${category.percentage}% complete">
+                        <span style="width: ${category.percentage}%"></span>
+                    </div>
+                </td>
+                <td>${category.percentage}%</td>
+                <td>${category.completed}/${category.total}</td>
+                <td>${category.points}</td>
+            </tr>`).join('');
+
+        const recent = report.recent.length > 0
+            ? `<ul class="report-list">${report.recent.map(skill =>
+                skillItem(skill, ` · ${html(this.formatDate(skill.completedAt))}`)).join('')}</ul>`
+            : '<p class="report-muted">No skills completed recently.</p>';
+
+        const unlocked = report.recommended.unlocked.length > 0
+            ? `<ul class="report-list">${report.recommended.unlocked.map(skill =>
+                skillItem(skill, skill.timeRequired ? ` · ${html(skill.timeRequired)}` : '')).join('')}</ul>`
+            : '<p class="report-muted">No skills are available right now.</p>';
+        const nearlyUnlocked = report.recommended.nearlyUnlocked.length > 0
+            ? `<h3>Almost unlocked</h3><ul class="report-list">${report.recommended.nearlyUnlocked.map(skill =>
+                skillItem(skill)).join('')}</ul>`
+            : '';
+
+        return `
+        <article class="report">
+            <header class="report-header">
+                <h1>Life Skills Progress Report</h1>
+                <p class="report-muted">${html(report.profileName)} · ${html(this.formatDate(report.generatedAt))}</p>
+            </header>
+            <section class="report-section">
+                <h2>Overview</h2>
+                <dl class="report-stats">
+                    <div><dt>Skills completed</dt><dd>${report.completedSkills} / ${report.totalSkills}</dd></div>
+                    <div><dt>Overall</dt><dd>${report.overallPercentage}%</dd></div>
+                    <div><dt>Total points</dt><dd>${report.totalPoints}</dd></div>
+                    <div><dt>Last 30 days</dt><dd>${report.activity.completedLast30Days}</dd></div>
+                </dl>
+            </section>
+            <section class="report-section">
+                <h2>Categories</h2>
+                <table class="report-table">
+                    <thead><tr><th scope="col">Category</th><th scope="col">Progress</th><th scope="col">%</th><th scope="col">Completed</th><th scope="col">Points</th></tr></thead>
+                    <tbody>${categories}</tbody>
+                </table>
+            </section>
+            <section class="report-section">
+                <h2>Recently completed</h2>
+                ${recent}
+            </section>
+            <section class="report-section">
+                <h2>Recommended next skills</h2>
+                ${unlocked}
+                ${nearlyUnlocked}
+            </section>
+        </article>`;
+    }
+
+    /**
+     * Wrap the HTML report in a standalone document with the given stylesheet text
+     */
+    toHTMLDocument(report = this.collect(), styles = '') {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Life Skills Progress Report</title>
+    <style>${styles}</style>
+</head>
+<body class="report-document">${this.toHTML(report)}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Format an ISO date as YYYY-MM-DD (local time)
+     */
+    formatDate(isoDate) {
+        const date = new Date(isoDate);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * File name for a report download
+     */
+    generateFilename(extension) {
+        const slug = this.userProgress.profiles.getProfileSlug();
+        return `skill-tree-report-${slug}-${this.formatDate(new Date().toISOString())}.${extension}`;
+    }
+}
+
+// Export for use in other modules
+window.ProgressReport = ProgressReport;
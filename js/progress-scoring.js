@@ -0,0 +1,118 @@
+/**
+ * Progress Scoring
+ * Computes points for any progress object from the skill definitions and its
+ * completion state. Totals saved in progress or import files are only ever
+ * compared against the computed score, never trusted: a mismatch means the
+ * file was edited, or skill point values changed since it was written.
+ */
+
+class ProgressScoring {
+    constructor(userProgress) {
+        this.userProgress = userProgress;
+    }
+
+    /**
+     * Skill definitions attached to the progress store, or null before skill data loads
+     */
+    getDefinitions() {
+        return this.userProgress.store.definitions;
+    }
+
+    /**
+     * Score a progress object. Completed custom skills carried in the object but
+     * not loaded into the tree (e.g. from an import file) are scored from their own definitions.
+     * Returns { totalPoints, categories: { [categoryId]: points } }, or null without definitions.
+     */
+    score(data) {
+        const definitions = this.getDefinitions();
+        if (!definitions) return null;
+
+        const progress = {
+            completedSkills: data.completedSkills || [],
+            skillRanks: data.skillRanks || {}
+        };
+        const cache = new Map();
+        const categories = {};
+        definitions.getAllCategories().forEach(category => {
+            categories[category.id] = definitions.computeCategoryStats(category.id, progress, cache).points;
+        });
+        let totalPoints = definitions.computeCategoryStats(null, progress, cache).points;
+
+        (data.customSkills || []).forEach(skill => {
+            if (!skill || definitions.getSkill(skill.skill_id)) return;
+
+            const points = definitions.getRankPoints(skill, this.getEarnedRank(skill, progress));
+            totalPoints += points;
+            categories[skill.category] = (categories[skill.category] || 0) + points;
+        });
+
+        return { totalPoints, categories };
+    }
+
+    /**
+     * Earned rank of a skill definition in a progress object
+     */
+    getEarnedRank(skill, progress) {
+        const maxRank = this.getDefinitions().getMaxRank(skill);
+        if (progress.skillRanks[skill.skill_id] !== undefined) {
+            return Math.min(progress.skillRanks[skill.skill_id], maxRank);
+        }
+        return progress.completedSkills.includes(skill.skill_id) ? maxRank : 0;
+    }
+
+    /**
+     * Check a progress object's stored totals and skill references against its computed score.
+     * Returns { consistent, claimedPoints, computedPoints, issues: [{ type, message }] }.
+     */
+    verify(data) {
+        const definitions = this.getDefinitions();
+        const result = {
+            consistent: true,
+            claimedPoints: typeof data.totalPoints === 'number' ? data.totalPoints : null,
+            computedPoints: null,
+            issues: []
+        };
+        if (!definitions) return result;
+
+        const addIssue = (type, message) => {
+            result.consistent = false;
+            result.issues.push({ type, message });
+        };
+
+        const score = this.score(data);
+        result.computedPoints = score.totalPoints;
+
+        if (result.claimedPoints !== null && result.claimedPoints !== score.totalPoints) {
+            addIssue('points-mismatch',
+                `Total points are ${result.claimedPoints} but the completed skills are worth ${score.totalPoints}`);
+        }
+
+        Object.entries(data.categoryProgress || {}).forEach(([categoryId, stats]) => {
+            if (!stats || typeof stats.points !== 'number' || !(categoryId in score.categories)) return;
+            if (stats.points !== score.categories[categoryId]) {
+                addIssue('category-mismatch',
+                    `${categoryId} claims ${stats.points} points but is worth ${score.categories[categoryId]}`);
+            }
+        });
+
+        const customSkills = new Map((data.customSkills || []).filter(Boolean).map(skill => [skill.skill_id, skill]));
+        const findSkill = skillId => definitions.getSkill(skillId) || customSkills.get(skillId);
+
+        const unknown = (data.completedSkills || []).filter(skillId => !findSkill(skillId));
+        if (unknown.length > 0) {
+            addIssue('unknown-skill', `Unknown skills are marked complete: ${unknown.join(', ')}`);
+        }
+
+        Object.entries(data.skillRanks || {}).forEach(([skillId, rank]) => {
+            const skill = findSkill(skillId);
+            if (!Number.isInteger(rank) || rank < 0 || (skill && rank > definitions.getMaxRank(skill))) {
+                addIssue('invalid-rank', `${skillId} has an impossible rank (${rank})`);
+            }
+        });
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+window.ProgressScoring = ProgressScoring;
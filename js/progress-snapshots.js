@@ -0,0 +1,205 @@
+/**
+ * Progress Snapshots
+ * Rolling point-in-time copies of user progress: one per day, plus one before
+ * every import, reset and restore. Any snapshot can be compared with the
+ * current progress and restored.
+ */
+
+class ProgressSnapshots {
+    constructor(userProgress, maxSnapshots = 20) {
+        this.userProgress = userProgress;
+        this.STORAGE_KEY = 'skillTreeSnapshots';
+        this.MAX_SNAPSHOTS = maxSnapshots;
+        this.snapshots = []; // Oldest first
+        this.listeners = new Set();
+
+        // Snapshots are read by UserProgress once its storage adapter is ready
+        this.loaded = false;
+
+        this.REASON_LABELS = {
+            daily: 'Daily snapshot',
+            import: 'Before import',
+            reset: 'Before reset',
+            restore: 'Before restore'
+        };
+    }
+
+    /**
+     * Load snapshots through the user progress storage adapter
+     */
+    async loadSnapshots() {
+        try {
+            const stored = await this.userProgress.storage.get(this.userProgress.profiles.getStorageKey(this.STORAGE_KEY));
+            this.snapshots = Array.isArray(stored) ? stored : [];
+            this.loaded = true;
+        } catch (error) {
+            console.error('Error loading progress snapshots:', error);
+            this.snapshots = [];
+        }
+    }
+
+    /**
+     * Save snapshots, dropping the oldest ones if storage is full
+     */
+    async saveSnapshots() {
+        if (!this.loaded) return false;
+
+        try {
+            await this.userProgress.storage.set(this.userProgress.profiles.getStorageKey(this.STORAGE_KEY), this.snapshots);
+            return true;
+        } catch (error) {
+            console.error('Error saving progress snapshots:', error);
+
+            if (error.name === 'QuotaExceededError' && this.snapshots.length > 1) {
+                this.snapshots = this.snapshots.slice(Math.ceil(this.snapshots.length / 2));
+                return this.saveSnapshots();
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Take a snapshot of the current progress. Reason is 'daily', 'import', 'reset' or 'restore'.
+     */
+    take(reason) {
+        const snapshot = {
+            id: `snapshot_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            reason,
+            label: this.REASON_LABELS[reason] || reason,
+            createdAt: new Date().toISOString(),
+            data: this.userProgress.getProgressData()
+        };
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > this.MAX_SNAPSHOTS) {
+            this.snapshots.splice(0, this.snapshots.length - this.MAX_SNAPSHOTS);
+        }
+
+        this.saveSnapshots();
+        this.notifyListeners('snapshot-taken', snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Take today's daily snapshot unless one already exists.
+     * Returns the new snapshot, or null.
+     */
+    takeDailySnapshot() {
+        const today = new Date().toDateString();
+        const hasToday = this.snapshots.some(snapshot =>
+            snapshot.reason === 'daily' && new Date(snapshot.createdAt).toDateString() === today
+        );
+        return hasToday ? null : this.take('daily');
+    }
+
+    /**
+     * Get all snapshots, newest first
+     */
+    getSnapshots() {
+        return [...this.snapshots].reverse();
+    }
+
+    /**
+     * Get a snapshot by ID
+     */
+    getSnapshot(snapshotId) {
+        return this.snapshots.find(snapshot => snapshot.id === snapshotId) || null;
+    }
+
+    /**
+     * Compare a snapshot with the current progress.
+     * gained/lost are the skills completed/uncompleted since the snapshot was taken.
+     * Points are scored from both sides' completion state with today's point values,
+     * so totals saved in the snapshot (possibly stale) are never shown.
+     */
+    diff(snapshotId) {
+        const snapshot = this.getSnapshot(snapshotId);
+        if (!snapshot) return null;
+
+        const current = this.userProgress.getProgressData();
+        const then = new Set(snapshot.data.completedSkills || []);
+        const now = new Set(current.completedSkills);
+        const points = data => {
+            const score = this.userProgress.scoring.score(data);
+            return score ? score.totalPoints : 0;
+        };
+        const snapshotPoints = points(snapshot.data);
+        const currentPoints = points(current);
+
+        return {
+            gained: current.completedSkills.filter(id => !then.has(id)),
+            lost: [...then].filter(id => !now.has(id)),
+            snapshotPoints,
+            currentPoints,
+            pointsDelta: currentPoints - snapshotPoints
+        };
+    }
+
+    /**
+     * Restore a snapshot as one undoable step, snapshotting the current progress first
+     */
+    restore(snapshotId) {
+        const snapshot = this.getSnapshot(snapshotId);
+        if (!snapshot) {
+            console.error(`Snapshot not found: ${snapshotId}`);
+            return false;
+        }
+
+        // Snapshots taken before a schema change are upgraded like any other stored progress
+        const migration = this.userProgress.migrations.migrate(snapshot.data);
+        if (!migration.success) {
+            console.error(`Cannot restore snapshot ${snapshotId}: ${migration.error}`);
+            return false;
+        }
+
+        this.take('restore');
+        this.userProgress.history.capture('Restore snapshot', () => {
+            this.userProgress.applyProgressData(migration.data, 'restore');
+        });
+        this.notifyListeners('snapshot-restored', snapshot);
+        return true;
+    }
+
+    /**
+     * Delete a snapshot
+     */
+    remove(snapshotId) {
+        const index = this.snapshots.findIndex(snapshot => snapshot.id === snapshotId);
+        if (index === -1) return false;
+
+        this.snapshots.splice(index, 1);
+        this.saveSnapshots();
+        this.notifyListeners('snapshot-removed', { id: snapshotId });
+        return true;
+    }
+
+    /**
+     * Add event listener for snapshot changes
+     */
+    addEventListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    removeEventListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of snapshot changes
+     */
+    notifyListeners(event, data) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Error in progress snapshot listener:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.ProgressSnapshots = ProgressSnapshots;
@@ -0,0 +1,288 @@
+/**
+ * Progress Store
+ * Single source of truth for skill completion state. SkillData and UserProgress
+ * both read from the same store; unlocked status and point totals are derived
+ * from it rather than stored, and every change goes through its mutation API.
+ */
+
+class ProgressStore {
+    constructor(state = {}) {
+        this.state = this.normalizeState(state);
+        this.definitions = null; // SkillData providing skills, ranks and unlock rules
+        this.subscribers = new Set();
+        this.derived = null;
+    }
+
+    /**
+     * Normalize raw completion state (as stored or imported)
+     */
+    normalizeState(state = {}) {
+        return {
+            completedSkills: Array.isArray(state.completedSkills) ? [...new Set(state.completedSkills)] : [],
+            skillRanks: state.skillRanks && typeof state.skillRanks === 'object' ? { ...state.skillRanks } : {},
+            completionDates: state.completionDates && typeof state.completionDates === 'object' ? { ...state.completionDates } : {}
+        };
+    }
+
+    /**
+     * Attach the skill definitions used to derive ranks, points and unlocked status
+     */
+    attachDefinitions(skillData) {
+        this.definitions = skillData;
+        this.invalidate();
+    }
+
+    /**
+     * Drop cached derived values; call when skill definitions change
+     */
+    invalidate() {
+        this.derived = null;
+    }
+
+    /**
+     * Subscribe to state changes. Returns an unsubscribe function.
+     * Callbacks receive (event, data) where event is one of 'skill-completed',
+     * 'skill-uncompleted', 'skill-rank-changed', 'state-replaced' or 'state-reset'.
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    /**
+     * Notify subscribers of a state change
+     */
+    notify(event, data) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Error in progress store subscriber:', error);
+            }
+        });
+    }
+
+    /**
+     * Get a copy of the raw completion state for persistence or export
+     */
+    getState() {
+        return {
+            completedSkills: [...this.state.completedSkills],
+            skillRanks: { ...this.state.skillRanks },
+            completionDates: { ...this.state.completionDates }
+        };
+    }
+
+    // ----- Reads -----
+
+    /**
+     * Get the number of ranks a skill has (1 for unranked or unknown skills)
+     */
+    getMaxRank(skillId) {
+        const skill = this.definitions && this.definitions.getSkill(skillId);
+        return skill ? skill.maxRank : 1;
+    }
+
+    /**
+     * Get the number of ranks earned for a skill
+     */
+    getRank(skillId) {
+        if (this.state.skillRanks[skillId] !== undefined) {
+            return Math.min(this.state.skillRanks[skillId], this.getMaxRank(skillId));
+        }
+        // Skills completed before they gained ranks count as fully ranked
+        return this.state.completedSkills.includes(skillId) ? this.getMaxRank(skillId) : 0;
+    }
+
+    /**
+     * Check if a skill is fully completed
+     */
+    isCompleted(skillId) {
+        return this.state.completedSkills.includes(skillId);
+    }
+
+    /**
+     * Get the completion timestamp of a skill, or null
+     */
+    getCompletedDate(skillId) {
+        return this.isCompleted(skillId) ? (this.state.completionDates[skillId] || null) : null;
+    }
+
+    /**
+     * Get IDs of all completed skills
+     */
+    getCompletedSkills() {
+        return [...this.state.completedSkills];
+    }
+
+    /**
+     * Check if a skill's unlock rule is met (derived, cached until the next change)
+     */
+    isUnlocked(skillId) {
+        const derived = this.getDerived();
+        return derived.unlocked.has(skillId) ? derived.unlocked.get(skillId) : true;
+    }
+
+    /**
+     * Get total points earned across all skills
+     */
+    getTotalPoints() {
+        return this.getDerived().totalPoints;
+    }
+
+    /**
+     * Get completion statistics for a category
+     */
+    getCategoryProgress(categoryId) {
+        return this.getDerived().categories[categoryId] || {
+            completedCount: 0,
+            totalSkills: 0,
+            points: 0,
+            percentage: 0
+        };
+    }
+
+    /**
+     * Get completion statistics for every category
+     */
+    getAllCategoryProgress() {
+        return { ...this.getDerived().categories };
+    }
+
+    /**
+     * Compute (or reuse) unlocked status, points and category statistics
+     */
+    getDerived() {
+        if (this.derived) {
+            return this.derived;
+        }
+
+        const derived = { unlocked: new Map(), totalPoints: 0, categories: {} };
+        if (!this.definitions) {
+            return derived;
+        }
+
+        // Derive from this store's state, not from whichever store the definitions currently read.
+        // Category totals are shared by every rule evaluated in this pass.
+        const cache = new Map();
+        for (const skill of this.definitions.getAllSkills()) {
+            const rule = this.definitions.getUnlockRule(skill);
+            derived.unlocked.set(skill.skill_id, this.definitions.evaluateUnlockRule(rule, this.state, cache).met);
+        }
+
+        for (const category of this.definitions.getAllCategories()) {
+            derived.categories[category.id] = this.definitions.computeCategoryStats(category.id, this.state, cache);
+        }
+        derived.totalPoints = this.definitions.computeCategoryStats(null, this.state, cache).points;
+
+        this.derived = derived;
+        return derived;
+    }
+
+    // ----- Mutations -----
+
+    /**
+     * Earn the next rank of a skill (completing it at its final rank).
+     * Returns false when the skill is locked or already fully completed.
+     */
+    completeSkill(skillId) {
+        if (this.definitions) {
+            if (!this.definitions.getSkill(skillId)) {
+                console.error(`Skill not found: ${skillId}`);
+                return false;
+            }
+            if (!this.isUnlocked(skillId)) {
+                console.error(`Cannot complete locked skill: ${skillId}`);
+                return false;
+            }
+        }
+
+        const rank = this.getRank(skillId);
+        if (rank >= this.getMaxRank(skillId)) {
+            return false;
+        }
+        return this.setRank(skillId, rank + 1);
+    }
+
+    /**
+     * Remove the highest earned rank of a skill.
+     * Returns false when the skill has no ranks earned.
+     */
+    uncompleteSkill(skillId) {
+        const rank = this.getRank(skillId);
+        if (rank === 0) {
+            return false;
+        }
+        return this.setRank(skillId, rank - 1);
+    }
+
+    /**
+     * Set the earned rank of a skill, keeping completedSkills in step.
+     * completedDate restores an earlier completion timestamp (undo/redo); defaults to now.
+     * reason ('user', 'undo', 'redo') is passed on to subscribers.
+     */
+    setRank(skillId, rank, completedDate = null, reason = 'user') {
+        const maxRank = this.getMaxRank(skillId);
+        const previousRank = this.getRank(skillId);
+        const previousCompletedDate = this.getCompletedDate(skillId);
+        rank = Math.max(0, Math.min(rank, maxRank));
+        if (rank === previousRank) {
+            return false;
+        }
+
+        const wasCompleted = this.isCompleted(skillId);
+        if (maxRank > 1 && rank > 0) {
+            this.state.skillRanks[skillId] = rank;
+        } else {
+            delete this.state.skillRanks[skillId];
+        }
+
+        if (rank === maxRank && !wasCompleted) {
+            this.state.completedSkills.push(skillId);
+            this.state.completionDates[skillId] = completedDate || new Date().toISOString();
+        } else if (rank < maxRank && wasCompleted) {
+            this.state.completedSkills = this.state.completedSkills.filter(id => id !== skillId);
+            delete this.state.completionDates[skillId];
+        }
+
+        this.invalidate();
+
+        let event = 'skill-rank-changed';
+        if (rank === maxRank) {
+            event = 'skill-completed';
+        } else if (wasCompleted) {
+            event = 'skill-uncompleted';
+        }
+        this.notify(event, {
+            skillId,
+            rank,
+            previousRank,
+            maxRank,
+            completedDate: this.getCompletedDate(skillId),
+            previousCompletedDate,
+            reason
+        });
+        return true;
+    }
+
+    /**
+     * Replace the whole completion state (import, restore)
+     */
+    replaceState(state, reason = 'replace') {
+        this.state = this.normalizeState(state);
+        this.invalidate();
+        this.notify('state-replaced', { reason });
+    }
+
+    /**
+     * Clear all completion state
+     */
+    reset() {
+        this.state = this.normalizeState();
+        this.invalidate();
+        this.notify('state-reset', {});
+    }
+}
+
+// Export for use in other modules
+window.ProgressStore = ProgressStore;
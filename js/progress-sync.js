@@ -0,0 +1,328 @@
+/**
+ * Progress Sync
+ * Keeps tabs showing the same profile in step. Every save is announced to
+ * other tabs (BroadcastChannel, or a localStorage ping where that is missing);
+ * a tab that hears about a save, or is about to save itself, first merges the
+ * stored progress into its own so that no tab overwrites another's changes.
+ */
+
+class ProgressSync {
+    constructor(userProgress) {
+        this.userProgress = userProgress;
+        this.CHANNEL_NAME = 'skill-tree-progress';
+        this.PING_KEY = 'skillTreeSyncPing';
+        this.tabId = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+        // Progress as last read from or written to storage: the common ancestor for merges
+        this.base = null;
+
+        this.channel = null;
+        // While paused, saves from other tabs are noted and merged on resume
+        this.paused = false;
+        this.pendingMerge = false;
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+        this.connect();
+    }
+
+    /**
+     * Listen for saves made by other tabs
+     */
+    connect() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } else if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('storage', this.handleStorageEvent);
+        }
+    }
+
+    /**
+     * Stop listening (page unload)
+     */
+    disconnect() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        } else if (typeof window !== 'undefined' && window.removeEventListener) {
+            window.removeEventListener('storage', this.handleStorageEvent);
+        }
+    }
+
+    /**
+     * Hold back merges of other tabs' saves (e.g. while a shared tree is shown)
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Merge any saves that arrived while paused
+     */
+    resume() {
+        this.paused = false;
+        if (this.pendingMerge) {
+            this.pendingMerge = false;
+            this.handleMessage({ type: 'progress-saved', profileId: this.userProgress.profiles.activeProfileId });
+        }
+    }
+
+    /**
+     * Remember what storage holds after a load, save or merge
+     */
+    markSynced(data) {
+        this.base = JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Tell other tabs that this tab saved the active profile
+     */
+    announceSave() {
+        const message = {
+            type: 'progress-saved',
+            tabId: this.tabId,
+            profileId: this.userProgress.profiles.activeProfileId,
+            lastSaved: this.userProgress.progress.lastSaved
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else if (typeof localStorage !== 'undefined') {
+                // Other tabs receive a storage event for the ping key
+                localStorage.setItem(this.PING_KEY, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.error('Error announcing progress save to other tabs:', error);
+        }
+    }
+
+    /**
+     * Fallback transport: storage events for the ping key (or the progress key itself)
+     */
+    handleStorageEvent(event) {
+        if (event.key === this.PING_KEY && event.newValue) {
+            try {
+                this.handleMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error reading progress sync message:', error);
+            }
+        } else if (event.key === this.userProgress.getStorageKey()) {
+            this.handleMessage({ type: 'progress-saved', profileId: this.userProgress.profiles.activeProfileId });
+        }
+    }
+
+    /**
+     * Merge another tab's save into this tab's progress
+     */
+    async handleMessage(message) {
+        if (!message || message.type !== 'progress-saved' || message.tabId === this.tabId) return;
+        if (message.profileId !== this.userProgress.profiles.activeProfileId || !this.userProgress.loaded) return;
+        if (this.paused) {
+            this.pendingMerge = true;
+            return;
+        }
+
+        const result = await this.mergeFromStorage();
+
+        // This tab had changes the other tab did not; write the merged result back
+        if (result.merged && result.localChangesKept) {
+            await this.userProgress.saveProgress();
+        }
+    }
+
+    /**
+     * Fold progress saved by other tabs into this tab's progress.
+     * Returns { merged, localChangesKept }.
+     */
+    async mergeFromStorage() {
+        const userProgress = this.userProgress;
+        const stored = await userProgress.storage.get(userProgress.getStorageKey());
+        if (!stored || !this.base || stored.lastSaved === this.base.lastSaved) {
+            return { merged: false, localChangesKept: false };
+        }
+
+        // Another tab may run a newer app version; leave its data for that tab
+        const migration = userProgress.migrations.migrate(stored);
+        if (!migration.success) {
+            console.warn(`Not merging progress from another tab: ${migration.error}`);
+            return { merged: false, localChangesKept: false };
+        }
+
+        const remote = migration.data;
+        const local = userProgress.getProgressData();
+        const merged = this.merge(this.base, local, remote);
+        this.markSynced(stored);
+
+        if (this.isSameProgress(merged, local)) {
+            return { merged: false, localChangesKept: false };
+        }
+
+        userProgress.applyProgressData(merged, 'sync');
+        userProgress.notifyListeners('progress-merged', { profileId: userProgress.profiles.activeProfileId });
+        console.log('Merged progress saved in another tab');
+        return { merged: true, localChangesKept: !this.isSameProgress(merged, remote) };
+    }
+
+    /**
+     * Three-way merge of progress. Whichever side changed a value since the base
+     * wins; when both changed the same skill, the further progress is kept.
+     */
+    merge(base, local, remote) {
+        const completion = this.mergeMaps(
+            this.getCompletionEntries(base),
+            this.getCompletionEntries(local),
+            this.getCompletionEntries(remote),
+            (localEntry, remoteEntry) => this.compareCompletion(localEntry, remoteEntry) >= 0 ? localEntry : remoteEntry
+        );
+
+        const preferRemote = (localValue, remoteValue) => remoteValue;
+        const mergeList = (field, idField) => Object.values(this.mergeMaps(
+            this.toMap(base[field], idField),
+            this.toMap(local[field], idField),
+            this.toMap(remote[field], idField),
+            preferRemote
+        ));
+
+        // Sessions logged in both tabs are all kept
+        const mergeSessions = (localSessions, remoteSessions) => {
+            const byId = new Map([...remoteSessions, ...localSessions].map(session => [session.id, session]));
+            return [...byId.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+        };
+
+        const merged = {
+            ...remote,
+            completedSkills: [],
+            skillRanks: {},
+            completionDates: {},
+            customSkills: mergeList('customSkills', 'skill_id'),
+            customCategories: mergeList('customCategories', 'id'),
+            achievementProgress: this.mergeMaps(base.achievementProgress, local.achievementProgress, remote.achievementProgress,
+                (localValue, remoteValue) => ({ ...remoteValue, ...localValue })),
+            practiceLog: this.mergeMaps(base.practiceLog, local.practiceLog, remote.practiceLog, mergeSessions),
+            bookmarks: this.mergeMaps(base.bookmarks, local.bookmarks, remote.bookmarks, preferRemote)
+        };
+
+        for (const [skillId, entry] of Object.entries(completion)) {
+            if (entry.completed) {
+                merged.completedSkills.push(skillId);
+                if (entry.date) merged.completionDates[skillId] = entry.date;
+            }
+            if (entry.rank !== undefined) {
+                merged.skillRanks[skillId] = entry.rank;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Three-way merge of two keyed objects
+     */
+    mergeMaps(base = {}, local = {}, remote = {}, resolveConflict) {
+        const result = {};
+        const keys = new Set([...Object.keys(base || {}), ...Object.keys(local || {}), ...Object.keys(remote || {})]);
+
+        for (const key of keys) {
+            const baseValue = (base || {})[key];
+            const localValue = (local || {})[key];
+            const remoteValue = (remote || {})[key];
+
+            let value;
+            if (this.isEqual(localValue, baseValue)) {
+                value = remoteValue;
+            } else if (this.isEqual(remoteValue, baseValue) || this.isEqual(localValue, remoteValue)) {
+                value = localValue;
+            } else if (localValue === undefined || remoteValue === undefined) {
+                // Deleted on one side, edited on the other: keep the edit
+                value = localValue === undefined ? remoteValue : localValue;
+            } else {
+                value = resolveConflict(localValue, remoteValue);
+            }
+
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Per-skill completion entries ({ completed, rank, date }) of a progress object
+     */
+    getCompletionEntries(data) {
+        const entries = {};
+        const skillRanks = data.skillRanks || {};
+        const completionDates = data.completionDates || {};
+        const completedSkills = data.completedSkills || [];
+
+        for (const skillId of new Set([...completedSkills, ...Object.keys(skillRanks)])) {
+            entries[skillId] = {
+                completed: completedSkills.includes(skillId),
+                rank: skillRanks[skillId],
+                date: completionDates[skillId]
+            };
+        }
+        return entries;
+    }
+
+    /**
+     * Order completion entries by how far the skill has progressed
+     */
+    compareCompletion(a, b) {
+        if (a.completed !== b.completed) {
+            return a.completed ? 1 : -1;
+        }
+        return (a.rank || 0) - (b.rank || 0);
+    }
+
+    /**
+     * Key a list of objects by an ID field
+     */
+    toMap(list, idField) {
+        const map = {};
+        (Array.isArray(list) ? list : []).forEach(item => {
+            if (item && item[idField] !== undefined) {
+                map[item[idField]] = item;
+            }
+        });
+        return map;
+    }
+
+    /**
+     * Compare two values structurally, regardless of object key order
+     */
+    isEqual(a, b) {
+        return this.stableStringify(a) === this.stableStringify(b);
+    }
+
+    /**
+     * JSON with object keys sorted, so equal data always serializes the same way
+     */
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return value === undefined ? 'undefined' : JSON.stringify(value);
+    }
+
+    /**
+     * Compare two progress objects, ignoring save timestamps and derived totals
+     */
+    isSameProgress(a, b) {
+        const strip = ({ lastSaved, totalPoints, categoryProgress, ...data }) => ({
+            ...data,
+            completedSkills: [...(data.completedSkills || [])].sort(),
+            customSkills: this.toMap(data.customSkills, 'skill_id'),
+            customCategories: this.toMap(data.customCategories, 'id')
+        });
+        return this.isEqual(strip(a), strip(b));
+    }
+}
+
+// Export for use in other modules
+window.ProgressSync = ProgressSync;
@@ -0,0 +1,182 @@
+/**
+ * Share Link
+ * Encodes completed skills into a compact token for the URL fragment, so a
+ * tree can be shared as a link without any server. The token is a bitset over
+ * the canonical skill order (built-in skill IDs, sorted), prefixed with a small
+ * header holding the skill count and a fingerprint of that order, compressed
+ * with deflate when the browser supports it, and base64url-encoded. The
+ * fingerprint lets a link made with a different set of skills be rejected
+ * rather than decoded into the wrong skills. Custom skills are not shared.
+ */
+
+class ShareLink {
+    constructor(skillData) {
+        this.skillData = skillData;
+        this.PARAM = 'share';
+        this.VERSION = 1;
+        this.HEADER_BYTES = 7; // version (1), skill count (2), order fingerprint (4)
+        this.COMPRESSED = 'z';
+        this.RAW = 'r';
+    }
+
+    /**
+     * Built-in skill IDs in canonical (sorted) order; bit i of the bitset is skill i
+     */
+    getCanonicalOrder() {
+        return this.skillData.getAllSkills()
+            .filter(skill => !skill.custom)
+            .map(skill => skill.skill_id)
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+
+    /**
+     * 32-bit FNV-1a hash of the canonical order
+     */
+    fingerprint(skillIds) {
+        let hash = 0x811c9dc5;
+        const text = skillIds.join('\n');
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Check that the browser can compress tokens (and open compressed links)
+     */
+    isCompressionAvailable() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Encode completed skill IDs as a token. Custom and unknown skills are left out.
+     * Returns { token, skillCount, omitted }.
+     */
+    async encode(completedSkills) {
+        const order = this.getCanonicalOrder();
+        const index = new Map(order.map((skillId, position) => [skillId, position]));
+        const bytes = new Uint8Array(this.HEADER_BYTES + Math.ceil(order.length / 8));
+        const view = new DataView(bytes.buffer);
+        view.setUint8(0, this.VERSION);
+        view.setUint16(1, order.length);
+        view.setUint32(3, this.fingerprint(order));
+
+        let skillCount = 0;
+        completedSkills.forEach(skillId => {
+            if (!index.has(skillId)) return;
+            const position = index.get(skillId);
+            bytes[this.HEADER_BYTES + (position >> 3)] |= 1 << (position & 7);
+            skillCount++;
+        });
+
+        // Compress only when it helps; nearly empty bitsets are already short
+        let token = this.RAW + this.toBase64Url(bytes);
+        if (this.isCompressionAvailable()) {
+            const compressed = this.COMPRESSED + this.toBase64Url(await this.transform(bytes, new CompressionStream('deflate-raw')));
+            if (compressed.length < token.length) {
+                token = compressed;
+            }
+        }
+
+        return { token, skillCount, omitted: completedSkills.length - skillCount };
+    }
+
+    /**
+     * Decode a token into completed skill IDs.
+     * Returns { success, completedSkills } or { success: false, error }.
+     */
+    async decode(token) {
+        let bytes;
+        try {
+            const kind = token.charAt(0);
+            const data = this.fromBase64Url(token.slice(1));
+            if (kind === this.COMPRESSED) {
+                if (!this.isCompressionAvailable()) {
+                    return { success: false, error: 'This browser cannot open compressed share links' };
+                }
+                bytes = await this.transform(data, new DecompressionStream('deflate-raw'));
+            } else if (kind === this.RAW) {
+                bytes = data;
+            } else {
+                return { success: false, error: 'The share link is not valid' };
+            }
+        } catch (error) {
+            return { success: false, error: 'The share link is damaged or incomplete' };
+        }
+
+        if (bytes.length < this.HEADER_BYTES) {
+            return { success: false, error: 'The share link is damaged or incomplete' };
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint8(0) > this.VERSION) {
+            return { success: false, error: 'This share link was made by a newer version of the app' };
+        }
+
+        const order = this.getCanonicalOrder();
+        if (view.getUint16(1) !== order.length || view.getUint32(3) !== this.fingerprint(order)) {
+            return { success: false, error: 'This share link was made with a different set of skills and cannot be opened here' };
+        }
+        if (bytes.length < this.HEADER_BYTES + Math.ceil(order.length / 8)) {
+            return { success: false, error: 'The share link is damaged or incomplete' };
+        }
+
+        const completedSkills = order.filter((skillId, position) =>
+            (bytes[this.HEADER_BYTES + (position >> 3)] & (1 << (position & 7))) !== 0
+        );
+        return { success: true, completedSkills };
+    }
+
+    /**
+     * Build a link to the given page URL with the token in its fragment
+     */
+    createURL(token, baseUrl = window.location.href) {
+        const url = new URL(baseUrl);
+        url.hash = `${this.PARAM}=${token}`;
+        return url.toString();
+    }
+
+    /**
+     * Read the share token from a URL fragment, or null when there is none
+     */
+    getToken(url = window.location.href) {
+        const hash = new URL(url).hash.replace(/^#/, '');
+        const params = new URLSearchParams(hash);
+        return params.get(this.PARAM) || null;
+    }
+
+    /**
+     * Pipe bytes through a compression or decompression stream
+     */
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Encode bytes as unpadded base64url
+     */
+    toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode unpadded base64url into bytes
+     */
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other modules
+window.ShareLink = ShareLink;
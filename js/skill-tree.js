@@ -864,12 +864,13 @@ class SkillTree {
             if (skill.unlocked && !this.userProgress.isSkillCompleted(skill.skill_id)) {
                 unlockedIncomplete.push(skill);
             } else if (!skill.unlocked) {
-                // Check if skill is nearly unlocked (1 prerequisite away)
-                const missingPrereqs = skill.prerequisites.filter(prereqId => 
-                    !this.userProgress.isSkillCompleted(prereqId)
-                );
+                // Check if skill is nearly unlocked (1 requirement of its unlock rule away)
+                const result = this.skillData.evaluateUnlockRule(this.skillData.getUnlockRule(skill));
+                const missingRequirements = result.rule.all !== undefined
+                    ? result.children.filter(requirement => !requirement.met)
+                    : [result];
                 
-                if (missingPrereqs.length === 1) {
+                if (missingRequirements.length === 1) {
                     nearlyUnlocked.push(skill);
                 }
             }
@@ -902,11 +903,10 @@ class SkillTree {
         );
         
         while (remaining.length > 0) {
-            // Find skills that can be completed next (prerequisites met)
+            // Find skills that can be completed next (unlock rule met)
+            const simulatedProgress = { completedSkills: Array.from(completed) };
             const available = remaining.filter(skill => {
-                return !skill.prerequisites || skill.prerequisites.every(prereqId => 
-                    completed.has(prereqId)
-                );
+                return this.skillData.isSkillUnlocked(skill, simulatedProgress);
             });
             
             if (available.length === 0) break; // No more skills can be unlocked
@@ -997,6 +997,44 @@ class SkillTree {
         this.selectedSkill = null;
     }
 
+    /**
+     * Suggest a position for a new skill, spiralling out from its category
+     */
+    getPositionForNewSkill(categoryId) {
+        const category = this.skillData.getCategory(categoryId);
+        const center = category && category.position
+            ? category.position
+            : { x: this.canvasWidth / 2, y: this.canvasHeight / 2 };
+        
+        const count = this.skillData.getSkillsByCategory(categoryId).length;
+        const angle = count * 2.4; // Golden-angle spacing avoids stacking nodes on one side
+        const radius = this.minDistance + count * 12;
+        
+        return {
+            x: Math.round(center.x + Math.cos(angle) * radius),
+            y: Math.round(center.y + Math.sin(angle) * radius)
+        };
+    }
+
+    /**
+     * Suggest a position for a new category to the right of the existing ones
+     */
+    getPositionForNewCategory() {
+        const positioned = this.skillData.getAllCategories().filter(category => category.position);
+        if (positioned.length === 0) {
+            return { x: this.canvasWidth / 2, y: this.canvasHeight / 2 };
+        }
+        
+        const maxX = Math.max(...positioned.map(category => category.position.x));
+        const minY = Math.min(...positioned.map(category => category.position.y));
+        const customCount = this.skillData.getCustomCategories().length;
+        
+        return {
+            x: Math.round(maxX + this.categorySpacing),
+            y: Math.round(minY + customCount * this.categorySpacing * 0.6)
+        };
+    }
+
     /**
      * Get optimized connection path for rendering
      */
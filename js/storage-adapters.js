@@ -0,0 +1,194 @@
+/**
+ * Storage Adapters
+ * Pluggable key/value persistence for user progress. Every adapter exposes the
+ * same async interface so UserProgress does not care where its data lives:
+ *
+ *   get(key)        -> stored value, or null
+ *   set(key, value) -> stores a JSON-compatible value
+ *   remove(key)     -> deletes a value
+ *   keys()          -> list of stored keys
+ */
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async get(key) {
+        throw new Error(`${this.name} storage does not implement get()`);
+    }
+
+    async set(key, value) {
+        throw new Error(`${this.name} storage does not implement set()`);
+    }
+
+    async remove(key) {
+        throw new Error(`${this.name} storage does not implement remove()`);
+    }
+
+    async keys() {
+        throw new Error(`${this.name} storage does not implement keys()`);
+    }
+
+    /**
+     * Create the default adapter: IndexedDB where it can be opened, otherwise localStorage
+     */
+    static async createDefault() {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                const adapter = new IndexedDBStorageAdapter();
+                await adapter.open();
+                return adapter;
+            } catch (error) {
+                console.error('IndexedDB unavailable, falling back to local storage:', error);
+            }
+        }
+        return new LocalStorageAdapter();
+    }
+
+    /**
+     * Copy a value written by the old localStorage-only persistence into the
+     * given adapter, then remove the legacy copy. Returns true if a value was migrated.
+     */
+    static async migrateFromLocalStorage(adapter, key) {
+        if (adapter instanceof LocalStorageAdapter || typeof localStorage === 'undefined') {
+            return false;
+        }
+
+        const legacy = localStorage.getItem(key);
+        if (legacy === null) {
+            return false;
+        }
+
+        // Never overwrite data the adapter already holds
+        if (await adapter.get(key) === null) {
+            await adapter.set(key, JSON.parse(legacy));
+            console.log(`Migrated ${key} from local storage to ${adapter.name}`);
+        }
+        localStorage.removeItem(key);
+        return true;
+    }
+}
+
+/**
+ * IndexedDB adapter: one object store of key/value records
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(dbName = 'skillTree', storeName = 'keyval') {
+        super('IndexedDB');
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run a single request in a transaction and resolve once the transaction completes
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async get(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        return this.request('readonly', store => store.getAllKeys());
+    }
+}
+
+/**
+ * localStorage adapter: values are stored as JSON strings
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor() {
+        super('local storage');
+    }
+
+    async get(key) {
+        const stored = localStorage.getItem(key);
+        return stored === null ? null : JSON.parse(stored);
+    }
+
+    async set(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+
+    async keys() {
+        return Object.keys(localStorage);
+    }
+}
+
+/**
+ * In-memory adapter for tests; values are copied so callers cannot mutate stored data
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(initial = {}) {
+        super('memory');
+        this.data = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+    }
+
+    async get(key) {
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    async set(key, value) {
+        this.data.set(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    async keys() {
+        return [...this.data.keys()];
+    }
+}
+
+// Export for use in other modules
+window.StorageAdapter = StorageAdapter;
+window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
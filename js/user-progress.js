@@ -1,94 +1,349 @@
 /**
  * User Progress Manager
- * Handles local storage persistence and progress tracking
+ * Handles progress persistence (through a pluggable storage adapter) and progress tracking
  */
 
 class UserProgress {
-    constructor() {
+    /**
+     * Options: { storage } - a StorageAdapter; defaults to IndexedDB with a localStorage fallback.
+     * Stored progress loads asynchronously (for the last active profile); await `ready` before reading it.
+     */
+    constructor(options = {}) {
         this.STORAGE_KEY = 'skillTreeProgress';
-        this.STORAGE_VERSION = '1.0.0';
-        this.progress = {
-            version: this.STORAGE_VERSION,
-            completedSkills: [],
-            totalPoints: 0,
-            categoryProgress: {},
-            lastSaved: null,
-            createdDate: new Date().toISOString()
-        };
+        this.migrations = new ProgressMigrations();
+        this.STORAGE_VERSION = this.migrations.CURRENT_VERSION;
+        this.lastMigration = null; // Report of the migrations run on the last load or import
+        this.lastImportCheck = null; // Scoring verification of the last imported file
+        this.storedTotals = null; // Loaded progress whose saved totals are still to be checked
+        this.lastRecalculation = null; // { previousPoints, currentPoints } when point values changed on load
+        this.loadError = null; // { error, backupKey } when stored progress could not be read
+        this.progress = this.getDefaultProgress();
+        
+        // Completion state is owned by the store; points and category totals are derived from it
+        this.store = new ProgressStore();
+        this.store.subscribe((event, data) => this.handleStoreChange(event, data));
+        
+        this.storage = options.storage || null;
+        this.loaded = false; // Nothing is saved until stored progress has been read
+        
+        // Mutations mark progress dirty; writes are debounced and flushed by the auto-save loop
+        this.SAVE_DEBOUNCE_MS = 500;
+        this.AUTO_SAVE_INTERVAL_MS = 30000;
+        this.dirty = false;
+        this.saveTimer = null;
+        this.saveStatus = 'saved'; // 'saved', 'saving' or 'failed'
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         
         this.autoSaveInterval = null;
         this.listeners = new Set();
+        this.profiles = new ProfileManager(this);
+        this.sync = new ProgressSync(this);
+        this.history = new ProgressHistory(this);
+        this.snapshots = new ProgressSnapshots(this);
+        this.merger = new ProgressMerge(this);
+        this.scoring = new ProgressScoring(this);
+        this.events = new ProgressEventLog(this);
         
         // Initialize
-        this.loadProgress();
+        this.ready = this.initializeStorage();
+    }
+
+    /**
+     * Pick a storage adapter, migrate data saved by the old localStorage-only
+     * persistence, then load the active profile's progress and history
+     */
+    async initializeStorage() {
+        if (!this.storage) {
+            this.storage = await StorageAdapter.createDefault();
+        }
+        
+        for (const key of [this.STORAGE_KEY, this.history.STORAGE_KEY, this.snapshots.STORAGE_KEY]) {
+            try {
+                await StorageAdapter.migrateFromLocalStorage(this.storage, key);
+            } catch (error) {
+                console.error(`Error migrating ${key} from local storage:`, error);
+            }
+        }
+        
+        await this.profiles.loadProfiles();
+        await this.loadProfileData();
         this.startAutoSave();
+        return this;
+    }
+
+    /**
+     * Load progress, history, event log and snapshots of the active profile
+     */
+    async loadProfileData() {
+        await this.loadProgress();
+        this.sync.markSynced(this.getProgressData());
+        await this.history.loadHistory();
+        await this.events.loadEvents();
+        await this.snapshots.loadSnapshots();
+        
+        // Before skill data loads there are no definitions to score the snapshot with;
+        // syncWithSkillData() takes it then
+        if (this.store.definitions) {
+            this.snapshots.takeDailySnapshot();
+        }
+    }
+
+    /**
+     * Save the current profile and load another one in its place.
+     * Completion state is replaced in the shared store, so SkillData follows along.
+     */
+    async switchProfile(profileId) {
+        if (!this.profiles.getProfile(profileId)) {
+            console.error(`Profile not found: ${profileId}`);
+            return false;
+        }
+        if (profileId === this.profiles.activeProfileId) {
+            return true;
+        }
+        
+        await this.saveProgress();
+        
+        // Nothing may be written while keys point at one profile and data at another
+        this.loaded = false;
+        this.history.loaded = false;
+        this.events.loaded = false;
+        this.snapshots.loaded = false;
+        
+        await this.profiles.setActiveProfile(profileId);
+        this.progress = this.getDefaultProgress();
+        this.lastMigration = null;
+        await this.loadProfileData();
+        
+        this.notifyListeners('profile-switched', this.profiles.getActiveProfile());
+        console.log(`Switched to profile: ${this.profiles.getActiveProfile().name}`);
+        return true;
+    }
+
+    /**
+     * Get the storage key of this profile's progress
+     */
+    getStorageKey() {
+        return this.profiles.getStorageKey(this.STORAGE_KEY);
     }
 
     /**
-     * Load progress from local storage
+     * Load progress from storage
      */
-    loadProgress() {
+    async loadProgress() {
+        this.storedTotals = null;
+        this.loadError = null;
+        let stored;
         try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
+            stored = await this.storage.get(this.getStorageKey());
+            this.loaded = true;
             if (stored) {
-                const parsed = JSON.parse(stored);
+                // Upgrade older payloads instead of discarding them
+                const migration = this.migrations.migrate(stored);
+                if (migration.applied.length > 0 || !migration.success) {
+                    migration.backupKey = await this.backupBeforeMigration(stored, migration.fromVersion);
+                }
+                this.lastMigration = migration;
                 
-                // Validate version compatibility
-                if (this.isValidVersion(parsed.version)) {
-                    this.progress = { ...this.progress, ...parsed };
-                    console.log('Loaded user progress from local storage');
+                if (migration.success) {
+                    this.applyProgressData(migration.data, 'load');
+                    // Compared with the computed score once skill definitions are attached
+                    this.storedTotals = migration.data;
+                    console.log(`Loaded user progress from ${this.storage.name}`);
+                    if (migration.applied.length > 0) {
+                        console.log(`Migrated progress from ${migration.fromVersion} to ${migration.toVersion}:`,
+                            migration.applied.map(step => step.description));
+                        await this.saveProgress();
+                        this.notifyListeners('progress-migrated', migration);
+                    }
                     this.notifyListeners('progress-loaded', this.progress);
                     return true;
                 } else {
-                    console.warn('Progress data version mismatch, starting fresh');
-                    this.saveProgress(); // Save fresh progress
+                    console.warn(`${migration.error}; stored progress backed up to ${migration.backupKey}, starting fresh`);
+                    this.applyProgressData(this.getDefaultProgress(), 'load');
+                    await this.saveProgress(); // Save fresh progress
                 }
             } else {
                 console.log('No existing progress found, starting fresh');
-                this.saveProgress(); // Initial save
+                this.applyProgressData(this.getDefaultProgress(), 'load');
+                await this.saveProgress(); // Initial save
             }
         } catch (error) {
-            console.error('Error loading progress from local storage:', error);
-            this.progress = this.getDefaultProgress();
+            console.error('Error loading progress from storage:', error);
+            // Start fresh only once the stored copy is safe; without a backup nothing is saved,
+            // so the next save cannot overwrite the only copy of the user's progress
+            const backupKey = stored !== undefined ? await this.backupStoredProgress(stored, 'unreadable') : null;
+            this.loadError = { error: `Saved progress could not be read: ${error.message}`, backupKey };
+            this.loaded = backupKey !== null;
+            this.applyProgressData(this.getDefaultProgress(), 'load');
         }
         return false;
     }
 
     /**
-     * Save progress to local storage
+     * Keep an untouched copy of stored progress before it is migrated or replaced.
+     * Returns the storage key of the backup, or null if it could not be written.
+     */
+    async backupBeforeMigration(data, version) {
+        return this.backupStoredProgress(data, `v${version}`);
+    }
+
+    /**
+     * Write a copy of stored progress under `<storage key>.backup-<label>`.
+     * Returns the storage key of the backup, or null if it could not be written.
      */
-    saveProgress() {
+    async backupStoredProgress(data, label) {
+        const backupKey = `${this.getStorageKey()}.backup-${label}`;
         try {
+            // Unreadable progress may not even be an object; keep it as it was
+            const backup = data && typeof data === 'object' && !Array.isArray(data) ? data : { raw: data };
+            await this.storage.set(backupKey, { ...backup, backupDate: new Date().toISOString() });
+            return backupKey;
+        } catch (error) {
+            console.error('Error backing up stored progress:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Replace progress from a stored or imported data object,
+     * handing completion state to the store
+     */
+    applyProgressData(data, reason) {
+        const { completedSkills, skillRanks, completionDates, totalPoints, categoryProgress, ...progress } = data;
+        this.progress = { ...this.getDefaultProgress(), ...progress };
+        this.store.replaceState({ completedSkills, skillRanks, completionDates }, reason);
+    }
+
+    /**
+     * Get the full persisted progress shape: progress fields, completion state
+     * and a snapshot of the derived totals
+     */
+    getProgressData() {
+        return {
+            ...this.progress,
+            ...this.store.getState(),
+            totalPoints: this.store.getTotalPoints(),
+            categoryProgress: this.store.getAllCategoryProgress()
+        };
+    }
+
+    /**
+     * Persist and re-announce completion changes made through the store
+     */
+    handleStoreChange(event, data) {
+        // Loaded and merged-in state is already in storage
+        if (data.reason === 'load' || data.reason === 'sync') return;
+        
+        this.markDirty();
+        this.events.recordStoreChange(event, data);
+        if (event === 'skill-completed' || event === 'skill-uncompleted' || event === 'skill-rank-changed') {
+            this.notifyListeners(event, data);
+            console.log(`Skill ${event.replace('skill-', '')}: ${data.skillId} (${data.rank}/${data.maxRank})`);
+        }
+    }
+
+    /**
+     * Note that progress changed and schedule a debounced save
+     */
+    markDirty() {
+        this.dirty = true;
+        
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, this.SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Save now if there are unsaved changes. Resolves to true when nothing is left unsaved.
+     */
+    async flush(options = {}) {
+        if (!this.dirty) return true;
+        return this.saveProgress(options);
+    }
+
+    /**
+     * Save progress to storage. Resolves to true once the write has completed.
+     * Options: { beforeUnload } - skip the cross-tab merge read so the write
+     * is issued before the page goes away.
+     */
+    async saveProgress(options = {}) {
+        if (!this.loaded) return false;
+        
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        this.dirty = false;
+        this.setSaveStatus('saving');
+        
+        try {
+            // Fold in saves from other tabs first so this save cannot overwrite them
+            if (!options.beforeUnload) {
+                await this.sync.mergeFromStorage();
+            }
+            
             this.progress.lastSaved = new Date().toISOString();
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.progress));
-            console.log('Progress saved to local storage');
+            const data = this.getProgressData();
+            await this.storage.set(this.getStorageKey(), data);
+            this.sync.markSynced(data);
+            this.sync.announceSave();
+            console.log(`Progress saved to ${this.storage.name}`);
             this.notifyListeners('progress-saved', this.progress);
+            
+            // Changes made while the write was in flight are saved by their own debounce
+            if (!this.dirty) {
+                this.setSaveStatus('saved');
+            }
             return true;
         } catch (error) {
-            console.error('Error saving progress to local storage:', error);
+            console.error('Error saving progress to storage:', error);
+            
+            // Keep the changes dirty so the auto-save loop retries them
+            this.dirty = true;
+            this.setSaveStatus('failed', error);
             
             // Handle storage quota exceeded
             if (error.name === 'QuotaExceededError') {
-                this.handleStorageQuotaExceeded();
+                await this.handleStorageQuotaExceeded();
             }
             return false;
         }
     }
 
+    /**
+     * Record and announce the save status ('saved', 'saving' or 'failed')
+     */
+    setSaveStatus(status, error = null) {
+        if (status === this.saveStatus && !error) return;
+        
+        this.saveStatus = status;
+        this.notifyListeners('save-status', {
+            status,
+            lastSaved: this.progress.lastSaved,
+            error: error ? error.message : null
+        });
+    }
+
     /**
      * Handle storage quota exceeded by cleaning up old data
      */
-    handleStorageQuotaExceeded() {
+    async handleStorageQuotaExceeded() {
         try {
             // Try to free up space by keeping only essential progress data
             const essentialProgress = {
                 version: this.progress.version,
-                completedSkills: this.progress.completedSkills,
-                totalPoints: this.progress.totalPoints,
+                ...this.store.getState(),
+                totalPoints: this.store.getTotalPoints(),
+                customSkills: this.progress.customSkills,
+                customCategories: this.progress.customCategories,
                 lastSaved: new Date().toISOString()
             };
             
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(essentialProgress));
+            await this.storage.set(this.getStorageKey(), essentialProgress);
             console.warn('Storage quota exceeded, saved essential data only');
         } catch (error) {
             console.error('Could not save even essential progress data:', error);
@@ -96,221 +351,344 @@ class UserProgress {
     }
 
     /**
-     * Complete a skill and update progress
+     * Complete a skill (ranked skills gain one rank per call).
+     * The change is saved and announced through the progress store subscription.
      */
-    completeSkill(skillId, skillData = null) {
-        if (!this.progress.completedSkills.includes(skillId)) {
-            this.progress.completedSkills.push(skillId);
-            
-            if (skillData) {
-                this.progress.totalPoints += skillData.points;
-                this.updateCategoryProgress(skillData.category);
-                
-                // Sync with skill data to recalculate percentages correctly
-                if (window.app && window.app.skillData) {
-                    this.syncWithSkillData(window.app.skillData);
-                }
-            }
-            
-            this.saveProgress();
-            this.notifyListeners('skill-completed', { skillId, skillData });
-            console.log(`Skill completed: ${skillId}`);
-            return true;
+    completeSkill(skillId) {
+        return this.store.completeSkill(skillId);
+    }
+
+    /**
+     * Mark a skill as incomplete by removing its highest earned rank
+     */
+    uncompleteSkill(skillId) {
+        return this.store.uncompleteSkill(skillId);
+    }
+
+    /**
+     * Get the number of ranks earned for a skill (completed unranked skills have rank 1)
+     */
+    getSkillRank(skillId) {
+        return this.store.getRank(skillId);
+    }
+
+    /**
+     * Check or uncheck a single achievement of a skill.
+     * Achievements are keyed by their index in the skill's achievements array.
+     */
+    setAchievementCompleted(skillId, achievementIndex, completed) {
+        const skillAchievements = { ...(this.progress.achievementProgress[skillId] || {}) };
+        const wasCompleted = Boolean(skillAchievements[achievementIndex]);
+        if (wasCompleted === Boolean(completed)) {
+            return false;
         }
-        return false;
+        
+        if (completed) {
+            skillAchievements[achievementIndex] = new Date().toISOString();
+        } else {
+            delete skillAchievements[achievementIndex];
+        }
+        
+        if (Object.keys(skillAchievements).length > 0) {
+            this.progress.achievementProgress[skillId] = skillAchievements;
+        } else {
+            delete this.progress.achievementProgress[skillId];
+        }
+        
+        this.markDirty();
+        this.notifyListeners('achievement-updated', { skillId, achievementIndex, completed: Boolean(completed) });
+        return true;
     }
 
     /**
-     * Mark a skill as incomplete
+     * Get the completion timestamp of an achievement, or null if unchecked
      */
-    uncompleteSkill(skillId, skillData = null) {
-        const index = this.progress.completedSkills.indexOf(skillId);
-        if (index > -1) {
-            this.progress.completedSkills.splice(index, 1);
-            
-            if (skillData) {
-                this.progress.totalPoints -= skillData.points;
-                this.updateCategoryProgress(skillData.category);
-                
-                // Sync with skill data to recalculate percentages correctly
-                if (window.app && window.app.skillData) {
-                    this.syncWithSkillData(window.app.skillData);
-                }
-            }
-            
-            this.saveProgress();
-            this.notifyListeners('skill-uncompleted', { skillId, skillData });
-            console.log(`Skill uncompleted: ${skillId}`);
-            return true;
+    getAchievementCompletedDate(skillId, achievementIndex) {
+        const skillAchievements = this.progress.achievementProgress[skillId];
+        return (skillAchievements && skillAchievements[achievementIndex]) || null;
+    }
+
+    /**
+     * Get checked/total achievement counts for a skill
+     * (or for one rank's slice of its achievements when an offset is given)
+     */
+    getAchievementProgress(skillId, totalAchievements, offset = 0) {
+        const skillAchievements = this.progress.achievementProgress[skillId] || {};
+        const completed = Object.keys(skillAchievements)
+            .filter(index => Number(index) >= offset && Number(index) < offset + totalAchievements)
+            .length;
+        
+        return {
+            completed,
+            total: totalAchievements,
+            ratio: totalAchievements > 0 ? completed / totalAchievements : 0
+        };
+    }
+
+    /**
+     * Log a practice session against a skill
+     */
+    logPracticeSession(skillId, { date = null, minutes, note = '' } = {}) {
+        const duration = Number(minutes);
+        if (!Number.isFinite(duration) || duration <= 0) {
+            console.error(`Invalid practice duration for ${skillId}:`, minutes);
+            return null;
         }
-        return false;
+        
+        const sessionDate = date ? new Date(date) : new Date();
+        if (isNaN(sessionDate.getTime())) {
+            console.error(`Invalid practice date for ${skillId}:`, date);
+            return null;
+        }
+        
+        const session = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            date: sessionDate.toISOString(),
+            minutes: Math.round(duration),
+            note: String(note || '').trim(),
+            loggedAt: new Date().toISOString()
+        };
+        
+        const sessions = [...(this.progress.practiceLog[skillId] || []), session];
+        sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+        this.progress.practiceLog[skillId] = sessions;
+        
+        this.markDirty();
+        this.notifyListeners('practice-logged', { skillId, session });
+        return session;
     }
 
     /**
-     * Update category progress statistics
+     * Delete a logged practice session
      */
-    updateCategoryProgress(categoryId) {
-        if (!this.progress.categoryProgress[categoryId]) {
-            this.progress.categoryProgress[categoryId] = {
-                completedCount: 0,
-                totalSkills: 0,
-                points: 0,
-                lastUpdated: new Date().toISOString()
-            };
+    deletePracticeSession(skillId, sessionId) {
+        const sessions = this.progress.practiceLog[skillId] || [];
+        const remaining = sessions.filter(session => session.id !== sessionId);
+        if (remaining.length === sessions.length) {
+            return false;
+        }
+        
+        if (remaining.length > 0) {
+            this.progress.practiceLog[skillId] = remaining;
+        } else {
+            delete this.progress.practiceLog[skillId];
         }
         
-        // This will be properly calculated when skill data is available
-        this.progress.categoryProgress[categoryId].lastUpdated = new Date().toISOString();
+        this.markDirty();
+        this.notifyListeners('practice-deleted', { skillId, sessionId });
+        return true;
     }
 
     /**
-     * Sync progress with skill data for accurate calculations
+     * Get logged practice sessions for a skill, oldest first
      */
-    syncWithSkillData(skillData) {
-        let totalPoints = 0;
-        const categoryStats = {};
-        
-        // Initialize category stats
-        for (const category of skillData.getAllCategories()) {
-            categoryStats[category.id] = {
-                completedCount: 0,
-                totalSkills: 0,
-                points: 0,
-                percentage: 0,
-                lastUpdated: new Date().toISOString()
-            };
+    getPracticeSessions(skillId) {
+        return this.progress.practiceLog[skillId] || [];
+    }
+
+    /**
+     * Get total logged practice minutes for a skill
+     */
+    getPracticeMinutes(skillId) {
+        return this.getPracticeSessions(skillId).reduce((total, session) => total + session.minutes, 0);
+    }
+
+    /**
+     * Create or update a user-authored skill definition
+     */
+    saveCustomSkill(skillDefinition) {
+        const customSkills = this.progress.customSkills.filter(skill => skill.skill_id !== skillDefinition.skill_id);
+        customSkills.push(skillDefinition);
+        this.progress.customSkills = customSkills;
+        
+        this.markDirty();
+        this.notifyListeners('custom-skill-saved', skillDefinition);
+        return true;
+    }
+
+    /**
+     * Delete a user-authored skill and its completion state
+     */
+    deleteCustomSkill(skillId) {
+        const remaining = this.progress.customSkills.filter(skill => skill.skill_id !== skillId);
+        if (remaining.length === this.progress.customSkills.length) {
+            return false;
         }
         
-        // Calculate stats for each skill
-        for (const skill of skillData.getAllSkills()) {
-            const categoryId = skill.category;
-            if (!categoryStats[categoryId]) continue;
+        // Deleting also clears completion state, so undo restores the whole progress snapshot
+        this.history.capture('Delete custom skill', () => {
+            this.progress.customSkills = remaining;
+            this.store.setRank(skillId, 0);
+            delete this.progress.achievementProgress[skillId];
+            delete this.progress.practiceLog[skillId];
             
-            categoryStats[categoryId].totalSkills++;
+            // Other custom skills may still list the deleted skill as a prerequisite
+            this.progress.customSkills.forEach(skill => {
+                skill.prerequisites = (skill.prerequisites || []).filter(id => id !== skillId);
+                skill.unlocks = (skill.unlocks || []).filter(id => id !== skillId);
+            });
             
-            if (this.progress.completedSkills.includes(skill.skill_id)) {
-                categoryStats[categoryId].completedCount++;
-                categoryStats[categoryId].points += skill.points;
-                totalPoints += skill.points;
-            }
-        }
+            this.markDirty();
+        });
+        this.notifyListeners('custom-skill-deleted', { skillId });
+        return true;
+    }
+
+    /**
+     * Create or update a user-authored category
+     */
+    saveCustomCategory(categoryDefinition) {
+        const customCategories = this.progress.customCategories.filter(category => category.id !== categoryDefinition.id);
+        customCategories.push(categoryDefinition);
+        this.progress.customCategories = customCategories;
         
-        // Calculate percentages
-        for (const category in categoryStats) {
-            const stats = categoryStats[category];
-            stats.percentage = stats.totalSkills > 0 
-                ? Math.round((stats.completedCount / stats.totalSkills) * 100)
-                : 0;
+        this.markDirty();
+        this.notifyListeners('custom-category-saved', categoryDefinition);
+        return true;
+    }
+
+    /**
+     * Delete a user-authored category
+     */
+    deleteCustomCategory(categoryId) {
+        const remaining = this.progress.customCategories.filter(category => category.id !== categoryId);
+        if (remaining.length === this.progress.customCategories.length) {
+            return false;
         }
         
-        // Update progress
-        this.progress.totalPoints = totalPoints;
-        this.progress.categoryProgress = categoryStats;
-        this.saveProgress();
+        this.progress.customCategories = remaining;
+        this.markDirty();
+        this.notifyListeners('custom-category-deleted', { categoryId });
+        return true;
+    }
+
+    /**
+     * Get user-authored skill definitions
+     */
+    getCustomSkills() {
+        return this.progress.customSkills || [];
+    }
+
+    /**
+     * Get a single user-authored skill definition
+     */
+    getCustomSkill(skillId) {
+        return this.getCustomSkills().find(skill => skill.skill_id === skillId) || null;
+    }
+
+    /**
+     * Get user-authored categories
+     */
+    getCustomCategories() {
+        return this.progress.customCategories || [];
+    }
+
+    /**
+     * Share the completion store with skill data so both read the same state
+     */
+    syncWithSkillData(skillData) {
+        skillData.setProgressStore(this.store);
+        skillData.setEventLog(this.events);
+        this.checkStoredTotals();
+        this.snapshots.takeDailySnapshot();
+        // A fresh start after a failed load is not saved until the user changes something
+        if (!this.loadError) {
+            this.markDirty();
+        }
         
         console.log('Progress synced with skill data');
         this.notifyListeners('progress-synced', this.progress);
     }
 
+    /**
+     * Compare the totals saved with the loaded progress to the computed score.
+     * They differ when a skill pack changed its point values since the last save;
+     * the computed score always wins and the next save records it.
+     */
+    checkStoredTotals() {
+        const stored = this.storedTotals;
+        if (!stored || typeof stored.totalPoints !== 'number') return;
+        this.storedTotals = null;
+        
+        const currentPoints = this.store.getTotalPoints();
+        if (stored.totalPoints !== currentPoints) {
+            console.log(`Skill point values changed: ${stored.totalPoints} -> ${currentPoints} points`);
+            this.lastRecalculation = { previousPoints: stored.totalPoints, currentPoints };
+            this.notifyListeners('points-recalculated', this.lastRecalculation);
+        }
+    }
+
     /**
      * Check if a skill is completed
      */
     isSkillCompleted(skillId) {
-        return this.progress.completedSkills.includes(skillId);
+        return this.store.isCompleted(skillId);
     }
 
     /**
-     * Get total points earned
+     * Get total points earned (derived from completion state)
      */
     getTotalPoints() {
-        return this.progress.totalPoints || 0;
+        return this.store.getTotalPoints();
     }
 
     /**
-     * Get category progress
+     * Get category progress (derived from completion state)
      */
     getCategoryProgress(categoryId) {
-        return this.progress.categoryProgress[categoryId] || {
-            completedCount: 0,
-            totalSkills: 0,
-            points: 0,
-            percentage: 0
-        };
+        return this.store.getCategoryProgress(categoryId);
     }
 
     /**
      * Get all category progress
      */
     getAllCategoryProgress() {
-        return this.progress.categoryProgress;
+        return this.store.getAllCategoryProgress();
     }
 
     /**
-     * Export progress data
+     * Save a named view bookmark ({ scale, offsetX, offsetY }) for this profile
      */
-    exportProgress() {
-        const exportData = {
-            ...this.progress,
-            exportDate: new Date().toISOString(),
-            exportVersion: this.STORAGE_VERSION
+    saveBookmark(name, view) {
+        this.progress.bookmarks = {
+            ...this.progress.bookmarks,
+            [name]: {
+                scale: view.scale,
+                offsetX: view.offsetX,
+                offsetY: view.offsetY,
+                created: Date.now()
+            }
         };
-        
-        return JSON.stringify(exportData, null, 2);
+        this.markDirty();
+        this.notifyListeners('bookmark-saved', { name });
+        return true;
     }
 
     /**
-     * Import progress data from JSON string
+     * Get a view bookmark by name, or null
      */
-    importProgress(jsonData) {
-        try {
-            const importedData = JSON.parse(jsonData);
-            
-            // Validate import data
-            if (!this.validateImportData(importedData)) {
-                throw new Error('Invalid import data format');
-            }
-            
-            // Backup current progress
-            const backup = { ...this.progress };
-            
-            try {
-                // Import data
-                this.progress = {
-                    version: this.STORAGE_VERSION,
-                    completedSkills: importedData.completedSkills || [],
-                    totalPoints: importedData.totalPoints || 0,
-                    categoryProgress: importedData.categoryProgress || {},
-                    lastSaved: new Date().toISOString(),
-                    createdDate: importedData.createdDate || new Date().toISOString(),
-                    importedDate: new Date().toISOString()
-                };
-                
-                this.saveProgress();
-                this.notifyListeners('progress-imported', this.progress);
-                console.log('Successfully imported progress data');
-                return true;
-                
-            } catch (error) {
-                // Restore backup on error
-                this.progress = backup;
-                this.saveProgress();
-                throw error;
-            }
-            
-        } catch (error) {
-            console.error('Error importing progress:', error);
-            return false;
-        }
+    getBookmark(name) {
+        return (this.progress.bookmarks || {})[name] || null;
+    }
+
+    /**
+     * Get all view bookmarks as a name -> bookmark object
+     */
+    getBookmarks() {
+        return { ...(this.progress.bookmarks || {}) };
     }
 
     /**
-     * Validate imported data structure
+     * Delete a view bookmark
      */
-    validateImportData(data) {
-        return data && 
-               typeof data === 'object' &&
-               Array.isArray(data.completedSkills) &&
-               typeof data.totalPoints === 'number';
+    deleteBookmark(name) {
+        if (!this.getBookmark(name)) return false;
+        
+        const { [name]: removed, ...bookmarks } = this.progress.bookmarks;
+        this.progress.bookmarks = bookmarks;
+        this.markDirty();
+        this.notifyListeners('bookmark-deleted', { name });
+        return true;
     }
 
     /**
@@ -318,12 +696,19 @@ class UserProgress {
      */
     resetProgress() {
         const confirmed = confirm(
-            'Are you sure you want to reset all progress? This action cannot be undone.'
+            'Are you sure you want to reset all progress? You can undo this with Ctrl+Z.'
         );
         
         if (confirmed) {
-            this.progress = this.getDefaultProgress();
-            this.saveProgress();
+            this.snapshots.take('reset');
+            
+            // Custom skills are authored content, not progress, so they survive a reset
+            this.history.capture('Reset progress', () => {
+                const { customSkills, customCategories } = this.progress;
+                this.progress = { ...this.getDefaultProgress(), customSkills, customCategories };
+                this.store.reset();
+            });
+            this.events.append('reset', { source: 'user' });
             this.notifyListeners('progress-reset', this.progress);
             console.log('Progress reset');
             return true;
@@ -337,34 +722,48 @@ class UserProgress {
     getDefaultProgress() {
         return {
             version: this.STORAGE_VERSION,
-            completedSkills: [],
-            totalPoints: 0,
-            categoryProgress: {},
+            customSkills: [],
+            customCategories: [],
+            achievementProgress: {},
+            practiceLog: {},
+            bookmarks: {},
             lastSaved: null,
             createdDate: new Date().toISOString()
         };
     }
 
     /**
-     * Check if version is compatible
+     * Check if data of the given version can be loaded (migrated up to the current version)
      */
     isValidVersion(version) {
-        // For now, accept same major version
-        const currentMajor = this.STORAGE_VERSION.split('.')[0];
-        const importMajor = version ? version.split('.')[0] : '0';
-        return currentMajor === importMajor;
+        return this.migrations.canMigrate(version);
     }
 
     /**
      * Start auto-save functionality
      */
     startAutoSave() {
-        // Auto-save every 30 seconds if there are changes
+        // Flush unsaved changes every 30 seconds; mostly retries failed or pending writes
         this.autoSaveInterval = setInterval(() => {
-            // This will be triggered by skill completion events
-            // The save happens immediately on skill changes, 
-            // this is just a backup safety net
-        }, 30000);
+            this.flush();
+            
+            // Sessions left open past midnight still get a daily snapshot
+            this.snapshots.takeDailySnapshot();
+        }, this.AUTO_SAVE_INTERVAL_MS);
+        
+        // Hidden tabs may be discarded without further warning
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+    }
+
+    /**
+     * Flush unsaved changes when the page is hidden
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flush();
+        }
     }
 
     /**
@@ -375,6 +774,9 @@ class UserProgress {
             clearInterval(this.autoSaveInterval);
             this.autoSaveInterval = null;
         }
+        if (typeof document !== 'undefined' && document.removeEventListener) {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
     }
 
     /**
@@ -405,15 +807,26 @@ class UserProgress {
     }
 
     /**
-     * Get progress statistics
+     * Get skills completed within the last `days` days (and still completed), newest first,
+     * as { skillId, completedAt } read from the event log
+     */
+    getRecentlyCompleted(days = 7) {
+        return this.events.getRecentlyCompleted(days);
+    }
+
+    /**
+     * Get progress statistics.
+     * When skill data is available, practice time is also broken down per category.
      */
-    getStats() {
+    getStats(skillData = window.skillData || null) {
         const stats = {
-            totalSkillsCompleted: this.progress.completedSkills.length,
-            totalPoints: this.progress.totalPoints,
-            categoriesInProgress: Object.keys(this.progress.categoryProgress).length,
+            totalSkillsCompleted: this.store.getCompletedSkills().length,
+            totalPoints: this.getTotalPoints(),
+            categoriesInProgress: Object.values(this.getAllCategoryProgress()).filter(category => category.percentage > 0).length,
             daysSinceCreated: null,
-            averagePointsPerDay: 0
+            averagePointsPerDay: 0,
+            practice: this.getPracticeStats(skillData),
+            activity: this.events.getStats()
         };
         
         if (this.progress.createdDate) {
@@ -430,11 +843,60 @@ class UserProgress {
         return stats;
     }
 
+    /**
+     * Summarise logged practice time overall and per category (hours are rounded to 0.1)
+     */
+    getPracticeStats(skillData = null) {
+        const toHours = minutes => Math.round(minutes / 6) / 10;
+        const byCategory = {};
+        let totalMinutes = 0;
+        let sessionCount = 0;
+        
+        if (skillData) {
+            for (const category of skillData.getAllCategories()) {
+                const estimatedMinutes = skillData.getSkillsByCategory(category.id)
+                    .reduce((total, skill) => total + (skill.estimatedMinutes || 0), 0);
+                byCategory[category.id] = {
+                    loggedMinutes: 0,
+                    estimatedMinutes,
+                    sessions: 0
+                };
+            }
+        }
+        
+        for (const [skillId, sessions] of Object.entries(this.progress.practiceLog || {})) {
+            const minutes = sessions.reduce((total, session) => total + session.minutes, 0);
+            totalMinutes += minutes;
+            sessionCount += sessions.length;
+            
+            const skill = skillData && skillData.getSkill(skillId);
+            if (skill && byCategory[skill.category]) {
+                byCategory[skill.category].loggedMinutes += minutes;
+                byCategory[skill.category].sessions += sessions.length;
+            }
+        }
+        
+        for (const category of Object.values(byCategory)) {
+            category.loggedHours = toHours(category.loggedMinutes);
+            category.estimatedHours = toHours(category.estimatedMinutes);
+        }
+        
+        return {
+            totalMinutes,
+            totalHours: toHours(totalMinutes),
+            sessionCount,
+            byCategory
+        };
+    }
+
     /**
      * Cleanup on page unload
      */
     cleanup() {
+        // Issue the last write synchronously enough to survive the unload
+        this.flush({ beforeUnload: true });
         this.stopAutoSave();
+        this.sync.disconnect();
         this.listeners.clear();
     }
 }
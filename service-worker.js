@@ -3,8 +3,11 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'skill-tree-v1.0.0';
-const STATIC_CACHE = 'skill-tree-static-v1.0.0';
+const CACHE_NAME = 'skill-tree-v1.1.0';
+const STATIC_CACHE = 'skill-tree-static-v1.1.0';
+
+// Skill packs change without a new app version, so they are fetched network-first
+const SKILL_PACKS_PATH = '/data/skill-packs/';
 
 // Files to cache for offline functionality
 const CACHE_FILES = [
@@ -14,10 +17,27 @@ const CACHE_FILES = [
     '/css/animations.css',
     '/css/responsive.css',
     '/css/themes.css',
+    '/css/report.css',
     '/js/app.js',
+    '/js/storage-adapters.js',
+    '/js/progress-migrations.js',
+    '/js/progress-store.js',
+    '/js/profile-manager.js',
+    '/js/progress-sync.js',
+    '/js/progress-history.js',
+    '/js/progress-snapshots.js',
+    '/js/progress-merge.js',
+    '/js/progress-scoring.js',
+    '/js/progress-events.js',
     '/js/skill-data.js',
     '/js/user-progress.js',
     '/js/canvas-renderer.js',
+    '/js/export-crypto.js',
+    '/js/share-link.js',
+    '/js/import-export.js',
+    '/js/progress-report.js',
+    '/data/skill-packs/index.json',
+    '/data/skill-packs/default.json',
     '/manifest.json'
 ];
 
@@ -76,6 +96,37 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
+    // Skill packs: fresh from the network, cached copy only when offline
+    if (new URL(event.request.url).pathname.startsWith(SKILL_PACKS_PATH)) {
+        event.respondWith(
+            fetch(event.request)
+                .then((response) => {
+                    if (response && response.status === 200) {
+                        const responseToCache = response.clone();
+                        caches.open(CACHE_NAME)
+                            .then((cache) => {
+                                cache.put(event.request, responseToCache);
+                            });
+                    }
+                    return response;
+                })
+                .catch((error) => {
+                    console.log('Service Worker: Skill pack fetch failed, serving from cache', event.request.url);
+                    // The latest copy fetched is newer than the one cached at install
+                    return caches.open(CACHE_NAME)
+                        .then((cache) => cache.match(event.request))
+                        .then((cachedResponse) => cachedResponse || caches.match(event.request))
+                        .then((cachedResponse) => {
+                            if (cachedResponse) {
+                                return cachedResponse;
+                            }
+                            throw error;
+                        });
+                })
+        );
+        return;
+    }
+    
     event.respondWith(
         caches.match(event.request)
             .then((cachedResponse) => {
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+/**
+ * Import/export controller over fresh progress
+ */
+async function createController() {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const userProgress = await createUserProgress(window, skillData);
+    const controller = new window.ImportExportController(userProgress, skillData);
+    return { window, skillData, userProgress, controller };
+}
+
+test('parses quoted cells, doubled quotes, CRLF and blank lines', async () => {
+    const { controller } = await createController();
+    const rows = controller.parseCSV('﻿a,"b, c","say ""hi"""\r\n\r\n"multi\nline",,x\n');
+
+    assert.deepEqual(rows, [['a', 'b, c', 'say "hi"'], ['multi\nline', '', 'x']]);
+});
+
+test('escapes cells and guards formulas on export', async () => {
+    const { controller } = await createController();
+    const csv = controller.toCSV([['plain', 'a,b', 'say "hi"', '=SUM(A1)', 3, null]]);
+
+    assert.strictEqual(csv, 'plain,"a,b","say ""hi""",\'=SUM(A1),3,\r\n');
+    assert.deepEqual(controller.parseCSV(csv), [['plain', 'a,b', 'say "hi"', '\'=SUM(A1)', '3', '']]);
+});
+
+test('matches rows by skill_id or name, honouring the status column', async () => {
+    const { controller } = await createController();
+    const parsed = controller.parseSkillsCSV([
+        'skill_id,name,status,dateCompleted',
+        'family_time_001,,completed,2024-03-01',
+        ',quality time investment,done,',
+        'health_fitness_001,,locked,',
+        ',No Such Skill,yes,'
+    ].join('\n'));
+
+    assert.strictEqual(parsed.success, true);
+    assert.deepEqual(parsed.skills.map(entry => entry.skillId), ['family_time_001', 'family_time_001']);
+    assert.strictEqual(parsed.skills[0].date, new Date('2024-03-01').toISOString());
+    assert.deepEqual(parsed.unmatched.map(entry => entry.line), [5]);
+});
+
+test('matches names that were guarded against formulas on export', async () => {
+    const { skillData, controller } = await createController();
+    const result = skillData.addCustomSkill({
+        skill_id: 'custom_skill_plus', name: '+1 Mindset', description: 'A custom skill', category: 'family', points: 1, position: { x: 0, y: 0 }
+    });
+    assert.strictEqual(result.success, true);
+
+    const csv = controller.toCSV([['name', 'status'], ['+1 Mindset', 'done']]);
+    const parsed = controller.parseSkillsCSV(csv);
+
+    assert.match(csv, /'\+1 Mindset/);
+    assert.deepEqual(parsed.skills.map(entry => entry.skillId), ['custom_skill_plus']);
+    assert.deepEqual(parsed.unmatched, []);
+});
+
+test('rejects files without rows or a skill column', async () => {
+    const { controller } = await createController();
+
+    assert.strictEqual(controller.parseSkillsCSV('skill_id\n').success, false);
+    assert.match(controller.parseSkillsCSV('points,status\n10,done\n').error, /skill_id/);
+});
+
+test('round-trips completed skills through a skills export', async () => {
+    const source = await createController();
+    source.userProgress.completeSkill('family_time_001');
+    source.userProgress.completeSkill('health_fitness_001');
+    const exported = source.controller.exportSkillsCSV();
+
+    const target = await createController();
+    const result = target.controller.importCSV(exported.data);
+
+    assert.strictEqual(exported.success, true);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.statistics.newSkillsAdded, 2);
+    assert.deepEqual(result.statistics.unmatched, []);
+    assert.deepEqual([...target.userProgress.store.getCompletedSkills()].sort(), ['family_time_001', 'health_fitness_001']);
+    assert.strictEqual(target.userProgress.progress.importedDate, undefined);
+
+    // Importing the same file again changes nothing
+    assert.strictEqual(target.controller.importCSV(exported.data).statistics.newSkillsAdded, 0);
+});
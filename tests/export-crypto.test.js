@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers');
+
+const passphrase = 'correct horse battery';
+
+/**
+ * ExportCrypto backed by Node's WebCrypto; jsdom has none
+ */
+function createCrypto() {
+    const window = createWindow();
+    Object.defineProperty(window, 'crypto', { value: crypto });
+    Object.assign(window, { TextEncoder, TextDecoder });
+    return new window.ExportCrypto();
+}
+
+test('round-trips text through an encrypted envelope', async () => {
+    const exportCrypto = createCrypto();
+    const encrypted = await exportCrypto.encrypt('{"skills":["family_time_001"]}', passphrase);
+    const envelope = JSON.parse(encrypted);
+
+    assert.strictEqual(exportCrypto.isEncrypted(encrypted), true);
+    assert.strictEqual(exportCrypto.isEncrypted('{"skills":[]}'), false);
+    assert.strictEqual(envelope.kdf.iterations, exportCrypto.PBKDF2_ITERATIONS);
+    assert.doesNotMatch(encrypted, /family_time_001/);
+    assert.deepEqual(await exportCrypto.decrypt(encrypted, passphrase), { success: true, data: '{"skills":["family_time_001"]}' });
+});
+
+test('rejects a wrong passphrase and modified data', async () => {
+    const exportCrypto = createCrypto();
+    const encrypted = await exportCrypto.encrypt('secret progress', passphrase);
+    const envelope = JSON.parse(encrypted);
+    const data = exportCrypto.fromBase64(envelope.data);
+    data[0] ^= 1;
+    const modified = JSON.stringify({ ...envelope, data: exportCrypto.toBase64(data) });
+
+    assert.match((await exportCrypto.decrypt(encrypted, 'wrong passphrase')).error, /^Wrong passphrase/);
+    assert.match((await exportCrypto.decrypt(modified, passphrase)).error, /^Wrong passphrase/);
+    assert.match((await exportCrypto.decrypt('{"format":"skill-tree-encrypted"', passphrase)).error, /damaged/);
+    assert.match((await exportCrypto.decrypt(JSON.stringify({ ...envelope, version: 2 }), passphrase)).error, /newer version/);
+});
+
+test('asks again after a wrong passphrase and stops when cancelled', async () => {
+    const exportCrypto = createCrypto();
+    const encrypted = await exportCrypto.encrypt('secret progress', passphrase);
+    const errors = [];
+    const answers = ['wrong passphrase', passphrase];
+
+    const result = await exportCrypto.decryptWithPrompt(encrypted, async error => {
+        errors.push(error);
+        return answers.shift();
+    });
+    const cancelled = await exportCrypto.decryptWithPrompt(encrypted, async () => null);
+
+    assert.strictEqual(result.data, 'secret progress');
+    assert.strictEqual(errors[0], null);
+    assert.match(errors[1], /^Wrong passphrase/);
+    assert.deepEqual({ ...cancelled }, { success: false, cancelled: true, error: 'Import cancelled' });
+});
+
+test('checks passphrases chosen for export', () => {
+    const exportCrypto = createCrypto();
+
+    assert.strictEqual(exportCrypto.validatePassphrase(passphrase, passphrase), null);
+    assert.match(exportCrypto.validatePassphrase('short'), /at least 8/);
+    assert.match(exportCrypto.validatePassphrase(passphrase, 'something else'), /do not match/);
+});
+
+test('rejects iteration counts outside the supported range before deriving a key', async () => {
+    const exportCrypto = createCrypto();
+    const envelope = JSON.parse(await exportCrypto.encrypt('secret progress', passphrase));
+    const withIterations = iterations => JSON.stringify({ ...envelope, kdf: { ...envelope.kdf, iterations } });
+    let prompts = 0;
+
+    for (const iterations of [1, 99999, 2000001, 1e12, '250000']) {
+        assert.match((await exportCrypto.decrypt(withIterations(iterations), passphrase)).error, /damaged/);
+    }
+    const result = await exportCrypto.decryptWithPrompt(withIterations(1), async () => {
+        prompts++;
+        return passphrase;
+    });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(prompts, 1, 'a damaged file is not retried');
+});
@@ -0,0 +1,78 @@
+/**
+ * Test helpers
+ * Loads the app's browser scripts into a jsdom window, in the order index.html
+ * loads them, so tests exercise the same classes the page uses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { after } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const SCRIPTS = [
+    'js/storage-adapters.js',
+    'js/progress-migrations.js',
+    'js/progress-store.js',
+    'js/profile-manager.js',
+    'js/progress-sync.js',
+    'js/progress-history.js',
+    'js/progress-snapshots.js',
+    'js/progress-merge.js',
+    'js/progress-scoring.js',
+    'js/progress-events.js',
+    'js/skill-data.js',
+    'js/user-progress.js',
+    'js/export-crypto.js',
+    'js/share-link.js',
+    'js/import-export.js'
+];
+
+// Windows are closed once a test file is done, so their timers cannot keep it running
+const windows = [];
+after(() => windows.forEach(window => window.close()));
+
+/**
+ * Create a window with the app scripts loaded
+ */
+function createWindow() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+    windows.push(window);
+    window.console = { log() {}, info() {}, warn() {}, error() {} };
+
+    SCRIPTS.forEach(file => {
+        window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    });
+    return window;
+}
+
+/**
+ * Skill data with the default skill pack
+ */
+function loadSkillData(window) {
+    const skillData = new window.SkillData();
+    const pack = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/skill-packs/default.json'), 'utf8'));
+    const result = skillData.loadSkillPack(pack, 'default.json');
+    if (!result.success) {
+        throw new Error(`Default skill pack did not load: ${JSON.stringify(result.errors)}`);
+    }
+    skillData.updateUnlockedSkills();
+    return skillData;
+}
+
+/**
+ * User progress in memory storage, attached to the given skill data
+ */
+async function createUserProgress(window, skillData, storage = new window.MemoryStorageAdapter()) {
+    const userProgress = new window.UserProgress({ storage });
+    await userProgress.ready;
+    userProgress.syncWithSkillData(skillData);
+    return userProgress;
+}
+
+module.exports = { createWindow, loadSkillData, createUserProgress };
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+/**
+ * Import/export controller over fresh progress
+ */
+async function createController() {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const userProgress = await createUserProgress(window, skillData);
+    const controller = new window.ImportExportController(userProgress, skillData);
+    return { window, skillData, userProgress, controller };
+}
+
+test('round-trips progress through the current envelope', async () => {
+    const source = await createController();
+    source.userProgress.store.completeSkill('family_time_001');
+    source.userProgress.store.completeSkill('family_communication_001');
+    const exported = source.controller.exportProgress();
+
+    const target = await createController();
+    const parsed = target.controller.parseImport(exported.data);
+
+    assert.strictEqual(parsed.success, true);
+    assert.strictEqual(parsed.legacyFormat, null);
+    assert.deepEqual(parsed.migration.applied, []);
+    assert.deepEqual(parsed.envelope.progress.completedSkills, ['family_time_001']);
+    assert.deepEqual({ ...parsed.envelope.progress.skillRanks }, { family_communication_001: 1 });
+});
+
+test('converts an envelope written before the format marker', async () => {
+    const { controller } = await createController();
+    const converted = controller.convertLegacyExport({
+        metadata: { version: '1.1.0', exportDate: '2024-01-01T00:00:00.000Z' },
+        progress: { completedSkills: ['family_time_001'] }
+    });
+
+    assert.strictEqual(converted.legacyFormat, 'envelope-v1');
+    assert.strictEqual(converted.envelope.format, controller.FORMAT);
+    assert.strictEqual(converted.envelope.envelopeVersion, controller.ENVELOPE_VERSION);
+});
+
+test('converts and migrates a flat 1.0.0 progress export', async () => {
+    const { controller, userProgress } = await createController();
+    const parsed = controller.parseImport(JSON.stringify({
+        completedSkills: ['family_time_001', 'health_fitness_001'],
+        totalPoints: 5,
+        exportDate: '2023-05-01T00:00:00.000Z',
+        exportVersion: '1.0.0',
+        profileName: 'Old Laptop'
+    }));
+
+    assert.strictEqual(parsed.success, true);
+    assert.strictEqual(parsed.legacyFormat, 'flat');
+    assert.deepEqual({ ...parsed.envelope.metadata }, {
+        version: '1.0.0', exportDate: '2023-05-01T00:00:00.000Z', profileName: 'Old Laptop'
+    });
+    assert.strictEqual(parsed.migration.fromVersion, '1.0.0');
+    assert.strictEqual(parsed.envelope.progress.version, userProgress.migrations.CURRENT_VERSION);
+    assert.strictEqual(parsed.envelope.progress.exportDate, undefined, 'export metadata is not kept as progress');
+    assert.deepEqual(parsed.envelope.progress.completedSkills, ['family_time_001', 'health_fitness_001']);
+});
+
+test('converts a per-skill map, keeping ranks and dates of known skills', async () => {
+    const { controller, userProgress } = await createController();
+    const result = controller.importProgress(JSON.stringify({
+        exportDate: '2023-05-01T00:00:00.000Z',
+        skills: {
+            family_time_001: { completed: true, dateCompleted: '2023-04-01T00:00:00.000Z' },
+            family_communication_001: { rank: 2 },
+            health_fitness_001: { completed: false },
+            removed_skill_001: { completed: true }
+        }
+    }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.legacyFormat, 'skill-map');
+    assert.deepEqual(userProgress.store.getCompletedSkills(), ['family_time_001']);
+    assert.strictEqual(userProgress.store.getCompletedDate('family_time_001'), '2023-04-01T00:00:00.000Z');
+    assert.strictEqual(userProgress.store.getRank('family_communication_001'), 2);
+});
+
+test('rejects unrecognised, encrypted and newer files', async () => {
+    const { controller } = await createController();
+
+    assert.match(controller.parseImport('{"hello":"world"}').error, /Unrecognised file format/);
+    assert.match(controller.parseImport('not json').error, /^Invalid JSON/);
+    assert.match(controller.parseImport('{"format":"skill-tree-encrypted"}').error, /encrypted/);
+    assert.match(controller.parseImport(JSON.stringify({
+        format: controller.FORMAT, envelopeVersion: controller.ENVELOPE_VERSION + 1, metadata: {}, progress: {}
+    })).error, /newer version/);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+test('logs completions and uncompletions with their source', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { events, store, history } = userProgress;
+
+    store.completeSkill('family_time_001');
+    store.uncompleteSkill('family_time_001');
+    history.undo();
+
+    assert.deepEqual(events.getEvents().map(event => `${event.type} ${event.skillId} ${event.source}`), [
+        'completed family_time_001 undo',
+        'uncompleted family_time_001 user',
+        'completed family_time_001 user'
+    ]);
+    assert.deepEqual(events.getEvents({ type: 'uncompleted' }).map(event => event.skillId), ['family_time_001']);
+    assert.strictEqual(events.getEvents({ limit: 1 }).length, 1);
+    assert.strictEqual(events.append('deleted', {}), null, 'unknown event types are not logged');
+});
+
+test('backfills completions saved before the log existed', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    const first = await createUserProgress(window, loadSkillData(window), storage);
+    first.store.completeSkill('family_time_001');
+    first.store.completeSkill('health_fitness_001');
+    await first.saveProgress();
+    await storage.remove('skillTreeEvents');
+
+    const second = await createUserProgress(window, loadSkillData(window), storage);
+    const backfill = second.events.getEvents();
+
+    assert.deepEqual(backfill.map(event => event.source), ['backfill', 'backfill']);
+    assert.deepEqual(backfill.map(event => event.skillId).sort(), ['family_time_001', 'health_fitness_001']);
+    assert.strictEqual(backfill[0].timestamp, second.store.getCompletedDate(backfill[0].skillId));
+    assert.strictEqual((await storage.get('skillTreeEvents')).length, 2);
+});
+
+test('keeps events another tab saved in the meantime', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    const first = await createUserProgress(window, loadSkillData(window), storage);
+    const second = await createUserProgress(window, loadSkillData(window), storage);
+
+    first.store.completeSkill('family_time_001');
+    await first.events.saveEvents();
+    second.store.completeSkill('health_fitness_001');
+    await second.events.saveEvents();
+
+    const stored = await storage.get('skillTreeEvents');
+    assert.deepEqual(stored.map(event => event.skillId).sort(), ['family_time_001', 'health_fitness_001']);
+    assert.strictEqual(second.events.addEvents(stored), 0, 'events are merged by ID');
+});
+
+test('summarises recent activity', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { events, store } = userProgress;
+    const longAgo = new Date();
+    longAgo.setDate(longAgo.getDate() - 60);
+    events.addEvents([events.createEvent('completed', { skillId: 'family_leadership_001' }, longAgo.toISOString())]);
+
+    store.completeSkill('family_time_001');
+    store.completeSkill('health_fitness_001');
+    store.uncompleteSkill('health_fitness_001');
+
+    assert.deepEqual(events.getRecentlyCompleted().map(entry => entry.skillId), ['family_time_001']);
+    const stats = events.getStats();
+    assert.strictEqual(stats.completions, 3);
+    assert.strictEqual(stats.uncompletions, 1);
+    assert.strictEqual(stats.completedLast30Days, 2);
+    assert.strictEqual(stats.firstCompletion, longAgo.toISOString());
+});
+
+test('writes nothing to another profile\'s log while switching to it', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    const userProgress = await createUserProgress(window, loadSkillData(window), storage);
+    userProgress.store.completeSkill('family_time_001');
+    const { profile } = await userProgress.profiles.createProfile('Second');
+    const eventsKey = `skillTreeEvents:${profile.id}`;
+
+    // Save the log while the new profile is active but its progress is still loading
+    const get = storage.get.bind(storage);
+    storage.get = async key => {
+        if (key === `skillTreeProgress:${profile.id}`) {
+            await userProgress.events.saveEvents();
+        }
+        return get(key);
+    };
+    await userProgress.switchProfile(profile.id);
+
+    assert.deepEqual(userProgress.events.getEvents(), []);
+    assert.strictEqual(await get(eventsKey), null);
+    assert.strictEqual((await get('skillTreeEvents')).length, 1);
+});
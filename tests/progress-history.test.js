@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+test('undoes and redoes single completions with their dates', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { history, store } = userProgress;
+
+    store.completeSkill('family_time_001');
+    const completedDate = store.getCompletedDate('family_time_001');
+    store.completeSkill('health_fitness_001');
+    assert.strictEqual(history.undoStack.length, 2);
+
+    assert.strictEqual(history.undo().skillId, 'health_fitness_001');
+    assert.strictEqual(history.undo().skillId, 'family_time_001');
+    assert.deepEqual(store.getCompletedSkills(), []);
+    assert.strictEqual(history.undo(), null);
+
+    history.redo();
+    assert.deepEqual(store.getCompletedSkills(), ['family_time_001']);
+    assert.strictEqual(store.getCompletedDate('family_time_001'), completedDate);
+    assert.strictEqual(history.canRedo(), true);
+    assert.strictEqual(history.undoStack.length, 1, 'undo and redo are not recorded as new changes');
+});
+
+test('records a bulk change as one undoable step', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { history, store } = userProgress;
+    store.completeSkill('family_time_001');
+
+    history.capture('Complete two skills', () => {
+        store.completeSkill('health_fitness_001');
+        store.completeSkill('family_communication_001');
+    });
+
+    assert.strictEqual(history.undoStack.length, 2);
+    assert.strictEqual(history.peekUndo().label, 'Complete two skills');
+    history.undo();
+    assert.deepEqual(store.getCompletedSkills(), ['family_time_001']);
+    assert.strictEqual(store.getRank('family_communication_001'), 0);
+    history.redo();
+    assert.deepEqual([...store.getCompletedSkills()].sort(), ['family_time_001', 'health_fitness_001']);
+    assert.strictEqual(store.getRank('family_communication_001'), 1);
+});
+
+test('records nothing for a failed bulk change', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+
+    assert.strictEqual(userProgress.history.capture('Nothing', () => false), false);
+    assert.strictEqual(userProgress.history.canUndo(), false);
+});
+
+test('drops the redo stack on a new change and keeps the newest entries', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { history, store } = userProgress;
+    history.MAX_ENTRIES = 2;
+
+    store.completeSkill('family_time_001');
+    history.undo();
+    store.completeSkill('health_fitness_001');
+    assert.strictEqual(history.canRedo(), false);
+
+    store.completeSkill('family_communication_001');
+    store.completeSkill('family_time_001');
+    assert.deepEqual(history.undoStack.map(entry => entry.skillId), ['family_communication_001', 'family_time_001']);
+});
+
+test('keeps history across reloads', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    const first = await createUserProgress(window, loadSkillData(window), storage);
+    first.store.completeSkill('family_time_001');
+    await first.saveProgress();
+
+    const second = await createUserProgress(window, loadSkillData(window), storage);
+    assert.strictEqual(second.history.peekUndo().skillId, 'family_time_001');
+    second.history.undo();
+    assert.deepEqual(second.store.getCompletedSkills(), []);
+});
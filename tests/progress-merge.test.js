@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+const current = {
+    completedSkills: ['family_time_001', 'health_fitness_001'],
+    completionDates: {
+        family_time_001: '2024-01-10T00:00:00.000Z',
+        health_fitness_001: '2024-02-01T00:00:00.000Z'
+    },
+    skillRanks: { family_leadership_001: 1, family_communication_001: 2 },
+    customSkills: [{ skill_id: 'custom_1', name: 'Mine' }],
+    practiceLog: { family_time_001: [{ id: 'a', date: '2024-01-05T00:00:00.000Z' }] },
+    createdDate: '2023-06-01T00:00:00.000Z'
+};
+
+const incoming = {
+    completedSkills: ['family_time_001', 'family_communication_001'],
+    completionDates: {
+        family_time_001: '2024-01-01T00:00:00.000Z',
+        family_communication_001: '2024-03-01T00:00:00.000Z'
+    },
+    skillRanks: { family_leadership_001: 2 },
+    customSkills: [{ skill_id: 'custom_1', name: 'Theirs' }, { skill_id: 'custom_2', name: 'New' }],
+    practiceLog: { family_time_001: [{ id: 'b', date: '2024-01-02T00:00:00.000Z' }] },
+    createdDate: '2023-01-01T00:00:00.000Z'
+};
+
+test('unions completed skills and reports the added ones', () => {
+    const window = createWindow();
+    const { data, report } = new window.ProgressMerge(null).merge(current, incoming);
+
+    assert.deepEqual([...data.completedSkills].sort(), ['family_communication_001', 'family_time_001', 'health_fitness_001']);
+    assert.deepEqual(report.added, ['family_communication_001']);
+    assert.strictEqual(data.createdDate, '2023-01-01T00:00:00.000Z');
+    assert.strictEqual(data.importedDate, undefined, 'the import time is not stored as progress');
+    assert.ok(!isNaN(new Date(report.importedDate)));
+});
+
+test('keeps the earliest or latest date of a skill completed on both sides', () => {
+    const window = createWindow();
+    const merger = new window.ProgressMerge(null);
+
+    const earliest = merger.merge(current, incoming, { keepDate: 'earliest' });
+    assert.strictEqual(earliest.data.completionDates.family_time_001, '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(earliest.report.dateConflicts.length, 1);
+
+    const latest = merger.merge(current, incoming, { keepDate: 'latest' });
+    assert.strictEqual(latest.data.completionDates.family_time_001, '2024-01-10T00:00:00.000Z');
+
+    // Dates of skills completed on one side only are kept as they are
+    assert.strictEqual(latest.data.completionDates.health_fitness_001, '2024-02-01T00:00:00.000Z');
+    assert.strictEqual(latest.data.completionDates.family_communication_001, '2024-03-01T00:00:00.000Z');
+});
+
+test('keeps the higher rank and drops ranks of completed skills', () => {
+    const window = createWindow();
+    const { data, report } = new window.ProgressMerge(null).merge(current, incoming);
+
+    assert.deepEqual(data.skillRanks, { family_leadership_001: 2 });
+    assert.deepEqual(report.rankConflicts.map(conflict => conflict.kept), [2]);
+});
+
+test('keeps this device\'s custom skills on a clash and unions practice sessions', () => {
+    const window = createWindow();
+    const { data, report } = new window.ProgressMerge(null).merge(current, incoming);
+
+    assert.deepEqual(data.customSkills.map(skill => skill.name), ['Mine', 'New']);
+    assert.deepEqual(report.customConflicts.map(conflict => conflict.id), ['custom_1']);
+    assert.deepEqual(data.practiceLog.family_time_001.map(session => session.id), ['b', 'a']);
+});
+
+test('previews the merged points from the skill definitions', async () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const userProgress = await createUserProgress(window, skillData);
+    userProgress.completeSkill('family_time_001');
+
+    const preview = userProgress.merger.preview({ completedSkills: ['health_fitness_001'], totalPoints: 999 });
+
+    const expected = skillData.getMaxPoints(skillData.getSkill('family_time_001')) +
+        skillData.getMaxPoints(skillData.getSkill('health_fitness_001'));
+    assert.strictEqual(preview.mode, 'merge');
+    assert.strictEqual(preview.resultPoints, expected);
+});
+
+test('keeps the earliest date unless told otherwise', () => {
+    const window = createWindow();
+    const merger = new window.ProgressMerge(null);
+    const { data, report } = merger.merge(current, incoming);
+
+    assert.strictEqual(report.keepDate, merger.DEFAULT_KEEP_DATE);
+    assert.strictEqual(data.completionDates.family_time_001, '2024-01-01T00:00:00.000Z');
+});
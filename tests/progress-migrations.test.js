@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers');
+
+test('upgrades 1.0 progress to the current schema', () => {
+    const window = createWindow();
+    const migrations = new window.ProgressMigrations();
+    const stored = {
+        version: '1.0.0',
+        completedSkills: ['family_time_001', 'family_time_001', 42],
+        completionDates: { family_time_001: '2024-01-01T00:00:00.000Z', health_fitness_001: '2024-01-02T00:00:00.000Z' }
+    };
+
+    const result = migrations.migrate(stored);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.fromVersion, '1.0.0');
+    assert.strictEqual(result.data.version, migrations.CURRENT_VERSION);
+    assert.deepEqual(result.applied.map(step => step.to), ['1.1.0']);
+    assert.deepEqual(result.data.completedSkills, ['family_time_001']);
+    assert.deepEqual(result.data.completionDates, { family_time_001: '2024-01-01T00:00:00.000Z' });
+    assert.deepEqual(result.data.skillRanks, {});
+    assert.deepEqual(result.data.practiceLog, {});
+    // The input is left as it was
+    assert.strictEqual(stored.completedSkills.length, 3);
+});
+
+test('treats progress without a version as 1.0.0', () => {
+    const window = createWindow();
+    const result = new window.ProgressMigrations().migrate({ completedSkills: ['family_time_001'] });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.fromVersion, '1.0.0');
+    assert.deepEqual(result.data.customSkills, []);
+});
+
+test('leaves current progress unchanged', () => {
+    const window = createWindow();
+    const migrations = new window.ProgressMigrations();
+    const result = migrations.migrate({ version: migrations.CURRENT_VERSION, completedSkills: ['family_time_001'], skillRanks: { health_fitness_001: 1 } });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.applied.length, 0);
+    assert.deepEqual(result.data.skillRanks, { health_fitness_001: 1 });
+});
+
+test('refuses progress saved by a newer version', () => {
+    const window = createWindow();
+    const migrations = new window.ProgressMigrations();
+    const result = migrations.migrate({ version: '9.0.0' });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /newer version/);
+    assert.strictEqual(migrations.canMigrate('9.0.0'), false);
+    assert.strictEqual(migrations.canMigrate('1.0.3'), true);
+});
+
+test('reports a failing migration step', () => {
+    const window = createWindow();
+    const migrations = new window.ProgressMigrations();
+    migrations.register('1.0.0', '1.1.0', 'Broken step', () => {
+        throw new Error('boom');
+    });
+
+    const result = migrations.migrate({ version: '1.0.0' });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /boom/);
+});
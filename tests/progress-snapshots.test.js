@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+test('takes one daily snapshot once skill data is synced', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    const userProgress = await createUserProgress(window, loadSkillData(window), storage);
+    const { snapshots } = userProgress;
+
+    assert.deepEqual(snapshots.getSnapshots().map(snapshot => snapshot.reason), ['daily']);
+    assert.strictEqual(snapshots.takeDailySnapshot(), null);
+
+    const reloaded = await createUserProgress(window, loadSkillData(window), storage);
+    assert.strictEqual(reloaded.snapshots.getSnapshots().length, 1, 'the stored daily snapshot counts for today');
+});
+
+test('diffs a snapshot against current progress with current point values', async () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const userProgress = await createUserProgress(window, skillData);
+    const { snapshots, store } = userProgress;
+
+    store.completeSkill('family_time_001');
+    const snapshot = snapshots.take('import');
+    // A total saved with the snapshot may be stale; the diff never shows it
+    snapshot.data.totalPoints = 999;
+
+    store.uncompleteSkill('family_time_001');
+    store.completeSkill('health_fitness_001');
+    const diff = snapshots.diff(snapshot.id);
+
+    assert.deepEqual(diff.gained, ['health_fitness_001']);
+    assert.deepEqual(diff.lost, ['family_time_001']);
+    assert.strictEqual(diff.snapshotPoints, skillData.getMaxPoints(skillData.getSkill('family_time_001')));
+    assert.strictEqual(diff.currentPoints, store.getTotalPoints());
+    assert.strictEqual(diff.pointsDelta, diff.currentPoints - diff.snapshotPoints);
+    assert.strictEqual(snapshots.diff('snapshot_missing'), null);
+});
+
+test('restores a snapshot as one undoable step after snapshotting the current progress', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { snapshots, store, history } = userProgress;
+
+    store.completeSkill('family_time_001');
+    const snapshot = snapshots.take('import');
+    store.completeSkill('health_fitness_001');
+    store.completeSkill('family_communication_001');
+    const undoDepth = history.undoStack.length;
+
+    assert.strictEqual(snapshots.restore(snapshot.id), true);
+    assert.deepEqual(store.getCompletedSkills(), ['family_time_001']);
+    assert.strictEqual(store.getRank('family_communication_001'), 0);
+    assert.strictEqual(snapshots.getSnapshots()[0].reason, 'restore');
+    assert.strictEqual(history.undoStack.length, undoDepth + 1);
+
+    history.undo();
+    assert.deepEqual([...store.getCompletedSkills()].sort(), ['family_time_001', 'health_fitness_001']);
+    assert.strictEqual(store.getRank('family_communication_001'), 1);
+});
+
+test('refuses to restore unknown or unreadable snapshots', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { snapshots } = userProgress;
+    const snapshot = snapshots.take('import');
+    snapshot.data.version = '99.0.0';
+
+    assert.strictEqual(snapshots.restore('snapshot_missing'), false);
+    assert.strictEqual(snapshots.restore(snapshot.id), false);
+    assert.strictEqual(snapshots.getSnapshots()[0].id, snapshot.id, 'nothing is snapshotted for a failed restore');
+});
+
+test('keeps only the newest snapshots', async () => {
+    const window = createWindow();
+    const userProgress = await createUserProgress(window, loadSkillData(window));
+    const { snapshots } = userProgress;
+    snapshots.MAX_SNAPSHOTS = 2;
+
+    snapshots.take('import');
+    const reset = snapshots.take('reset');
+    const restore = snapshots.take('restore');
+
+    assert.deepEqual(snapshots.getSnapshots().map(snapshot => snapshot.id), [restore.id, reset.id]);
+});
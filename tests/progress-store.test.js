@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData } = require('./helpers');
+
+/**
+ * A store attached to the default skill pack
+ */
+function createStore(state = {}) {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const store = new window.ProgressStore(state);
+    skillData.setProgressStore(store);
+    return { window, skillData, store };
+}
+
+test('derives unlocked status, ranks and points from the completion state', () => {
+    const { skillData, store } = createStore();
+    const ranked = skillData.getSkill('family_communication_001');
+
+    assert.strictEqual(store.isUnlocked('family_communication_002'), false);
+    assert.strictEqual(store.completeSkill('family_communication_002'), false, 'locked skills cannot be completed');
+
+    // A ranked skill is completed one rank at a time
+    for (let rank = 1; rank <= ranked.maxRank; rank++) {
+        assert.strictEqual(store.completeSkill('family_communication_001'), true);
+        assert.strictEqual(store.getRank('family_communication_001'), rank);
+    }
+    assert.strictEqual(store.isCompleted('family_communication_001'), true);
+    assert.strictEqual(store.completeSkill('family_communication_001'), false);
+    assert.strictEqual(store.isUnlocked('family_communication_002'), true);
+    assert.strictEqual(store.getTotalPoints(), skillData.getMaxPoints(ranked));
+    assert.strictEqual(store.getCategoryProgress('family').completedCount, 1);
+});
+
+test('reuses derived values until the state or the definitions change', () => {
+    const { skillData, store } = createStore();
+    const events = [];
+    store.subscribe(event => events.push(event));
+
+    const first = store.getDerived();
+    assert.strictEqual(store.getDerived(), first);
+
+    store.completeSkill('family_time_001');
+    const afterComplete = store.getDerived();
+    assert.notStrictEqual(afterComplete, first);
+    assert.strictEqual(afterComplete.totalPoints, skillData.getMaxPoints(skillData.getSkill('family_time_001')));
+
+    skillData.addCustomSkill({
+        skill_id: 'custom_skill_extra', name: 'Extra', description: 'A custom skill', category: 'family', points: 7, position: { x: 0, y: 0 }
+    });
+    assert.notStrictEqual(store.getDerived(), afterComplete);
+    store.completeSkill('custom_skill_extra');
+    assert.strictEqual(store.getTotalPoints(), afterComplete.totalPoints + 7);
+
+    store.reset();
+    assert.strictEqual(store.getTotalPoints(), 0);
+    assert.deepEqual(events, ['skill-completed', 'skill-completed', 'state-reset']);
+});
+
+test('derives from its own state when the definitions read another store', () => {
+    const { window, skillData, store } = createStore({ completedSkills: ['family_time_001'] });
+    const other = new window.ProgressStore({ completedSkills: ['family_time_001', 'health_fitness_001'] });
+    skillData.setProgressStore(other);
+
+    assert.strictEqual(store.getTotalPoints(), skillData.getMaxPoints(skillData.getSkill('family_time_001')));
+    assert.ok(other.getTotalPoints() > store.getTotalPoints());
+});
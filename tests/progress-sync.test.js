@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+const base = {
+    completedSkills: ['family_time_001', 'health_fitness_001'],
+    completionDates: {
+        family_time_001: '2024-01-01T00:00:00.000Z',
+        health_fitness_001: '2024-01-02T00:00:00.000Z'
+    },
+    skillRanks: { family_leadership_001: 1 },
+    bookmarks: { family_time_001: true }
+};
+
+/**
+ * Three-way merge on a sync instance that is not listening to other tabs
+ */
+function merge(window, local, remote) {
+    const sync = new window.ProgressSync(null);
+    sync.disconnect();
+    return sync.merge(base, local, remote);
+}
+
+test('keeps changes made on either side since the base', () => {
+    const window = createWindow();
+    const local = {
+        ...base,
+        completedSkills: [...base.completedSkills, 'family_communication_001'],
+        completionDates: { ...base.completionDates, family_communication_001: '2024-02-01T00:00:00.000Z' }
+    };
+    const remote = {
+        ...base,
+        completedSkills: ['family_time_001'],
+        completionDates: { family_time_001: base.completionDates.family_time_001 }
+    };
+
+    const merged = merge(window, local, remote);
+
+    // Completed locally, uncompleted remotely: both changes survive
+    assert.deepEqual([...merged.completedSkills].sort(), ['family_communication_001', 'family_time_001']);
+    assert.strictEqual(merged.completionDates.family_communication_001, '2024-02-01T00:00:00.000Z');
+    assert.strictEqual(merged.completionDates.health_fitness_001, undefined);
+});
+
+test('keeps the further progress when both sides changed a skill', () => {
+    const window = createWindow();
+    const local = { ...base, skillRanks: { family_leadership_001: 2 } };
+    const remote = {
+        ...base,
+        completedSkills: [...base.completedSkills, 'family_leadership_001'],
+        skillRanks: {}
+    };
+
+    const merged = merge(window, local, remote);
+
+    assert.ok(merged.completedSkills.includes('family_leadership_001'));
+});
+
+test('keeps an edit over a deletion and takes the remote value otherwise', () => {
+    const window = createWindow();
+    const local = { ...base, bookmarks: {} };
+    const remote = { ...base, bookmarks: { family_time_001: true, health_fitness_001: true } };
+
+    const merged = merge(window, local, remote);
+
+    assert.deepEqual(merged.bookmarks, { health_fitness_001: true });
+});
+
+test('merges saves from another tab before saving', async () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const storage = new window.MemoryStorageAdapter();
+    const tabA = await createUserProgress(window, skillData, storage);
+    const tabB = await createUserProgress(window, loadSkillData(window), storage);
+    await tabA.saveProgress();
+    await tabB.sync.mergeFromStorage();
+
+    tabA.completeSkill('family_time_001');
+    await tabA.saveProgress();
+    tabB.completeSkill('health_fitness_001');
+    await tabB.saveProgress();
+
+    const stored = await storage.get(tabA.getStorageKey());
+    assert.deepEqual([...stored.completedSkills].sort(), ['family_time_001', 'health_fitness_001']);
+    assert.deepEqual([...tabB.store.getCompletedSkills()].sort(), ['family_time_001', 'health_fitness_001']);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData } = require('./helpers');
+
+const completed = ['family_time_001', 'health_fitness_001', 'family_leadership_001'];
+
+test('round-trips completed skills through an uncompressed token', async () => {
+    const window = createWindow();
+    const shareLink = new window.ShareLink(loadSkillData(window));
+    assert.strictEqual(shareLink.isCompressionAvailable(), false);
+
+    const encoded = await shareLink.encode([...completed, 'no_such_skill']);
+    const decoded = await shareLink.decode(encoded.token);
+
+    assert.strictEqual(encoded.token.charAt(0), shareLink.RAW);
+    assert.strictEqual(encoded.skillCount, 3);
+    assert.strictEqual(encoded.omitted, 1);
+    assert.strictEqual(decoded.success, true);
+    assert.deepEqual([...decoded.completedSkills].sort(), [...completed].sort());
+});
+
+test('round-trips completed skills through a compressed token', async () => {
+    const window = createWindow();
+    // Node's streams stand in for the browser's; jsdom has none
+    Object.assign(window, { Blob, Response, CompressionStream, DecompressionStream });
+    const skillData = loadSkillData(window);
+    const shareLink = new window.ShareLink(skillData);
+    const allSkills = shareLink.getCanonicalOrder();
+
+    const encoded = await shareLink.encode(allSkills);
+    const decoded = await shareLink.decode(encoded.token);
+
+    assert.strictEqual(encoded.token.charAt(0), shareLink.COMPRESSED);
+    assert.strictEqual(decoded.success, true);
+    assert.deepEqual(decoded.completedSkills, allSkills);
+});
+
+test('reads the token back from a link', async () => {
+    const window = createWindow();
+    const shareLink = new window.ShareLink(loadSkillData(window));
+    const { token } = await shareLink.encode(completed);
+
+    const url = shareLink.createURL(token, 'http://localhost/index.html?x=1');
+
+    assert.strictEqual(shareLink.getToken(url), token);
+    assert.strictEqual(shareLink.getToken('http://localhost/index.html'), null);
+});
+
+test('rejects a link made with a different set of skills', async () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const shareLink = new window.ShareLink(skillData);
+    const { token } = await shareLink.encode(completed);
+
+    assert.strictEqual(skillData.addCustomSkill({
+        skill_id: 'custom_skill_extra', name: 'Extra', description: 'A custom skill', category: 'family', points: 1, position: { x: 0, y: 0 }
+    }).success, true);
+    assert.strictEqual((await shareLink.decode(token)).success, true, 'custom skills are not shared');
+
+    skillData.removeSkill('family_time_001');
+    const decoded = await shareLink.decode(token);
+    assert.strictEqual(decoded.success, false);
+    assert.match(decoded.error, /different set of skills/);
+});
+
+test('rejects damaged tokens', async () => {
+    const window = createWindow();
+    const shareLink = new window.ShareLink(loadSkillData(window));
+    const { token } = await shareLink.encode(completed);
+
+    assert.strictEqual((await shareLink.decode(token.slice(0, 6))).success, false);
+    assert.strictEqual((await shareLink.decode(`q${token.slice(1)}`)).success, false);
+    assert.strictEqual((await shareLink.decode('r!!!')).success, false);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData } = require('./helpers');
+
+const category = { id: 'custom_category_garden', name: 'Garden', color: '#4caf50' };
+
+test('accepts custom categories with a slug ID and a hex colour', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+
+    assert.strictEqual(skillData.addCustomCategory(category).success, true);
+    assert.strictEqual(skillData.addCustomCategory({ ...category, color: '#abc' }).success, true);
+});
+
+test('rejects custom category colours and IDs that are not plain values', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+
+    const color = skillData.addCustomCategory({ ...category, color: 'red"><img id="pwn" src="x"><i x="' });
+    const id = skillData.addCustomCategory({ ...category, id: 'x" onclick="alert(1)' });
+
+    assert.strictEqual(color.success, false);
+    assert.deepEqual(color.errors.map(error => error.path), ['color']);
+    assert.strictEqual(id.success, false);
+    assert.deepEqual(id.errors.map(error => error.path), ['id']);
+    assert.strictEqual(skillData.getCategory('custom_category_garden'), undefined);
+});
+
+const skill = {
+    skill_id: 'pack_skill_001', name: 'Pack Skill', description: 'From a pack', category: 'family', points: 2, position: { x: 0, y: 0 }
+};
+
+test('reports every schema violation in a skill with its path', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const errorsFor = data => skillData.validateSkill(data).map(error => `${error.type} ${error.path}`);
+
+    assert.deepEqual(errorsFor(skill), []);
+    assert.deepEqual(errorsFor({ ...skill, points: '2', name: '  ' }), ['invalid_value name', 'invalid_type points']);
+    assert.deepEqual(errorsFor({ ...skill, position: { x: 0 } }), ['missing_field position.y']);
+    assert.deepEqual(errorsFor({ ...skill, points: -1, prerequisites: ['family_time_001', 'family_time_001'] }), [
+        'out_of_range points', 'duplicate_value prerequisites'
+    ]);
+    assert.deepEqual(errorsFor({ ...skill, ranks: [] }), ['out_of_range ranks']);
+    assert.deepEqual(errorsFor({ ...skill, ranks: [{ name: 'One' }] }), ['missing_field ranks[0].points']);
+    assert.deepEqual(errorsFor({ ...skill, category: 'gardening', unlocks: ['pack_skill_001', 'no_such_skill'] }), [
+        'unknown_category category', 'self_reference unlocks[0]', 'unknown_skill unlocks[1]'
+    ]);
+});
+
+test('loads the valid skills of a pack and records the rejected ones', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const result = skillData.loadSkillPack({
+        pack_id: 'test_pack',
+        version: '1.0.0',
+        schema_version: '1.2.0',
+        categories: [{ id: 'garden', name: 'Garden', color: '#4caf50' }],
+        skills: [
+            { ...skill, category: 'garden' },
+            { ...skill, skill_id: 'pack_skill_002', prerequisites: ['pack_skill_001', 'pack_skill_999'] }
+        ]
+    }, 'test-pack.json');
+
+    assert.strictEqual(result.success, false);
+    assert.deepEqual(result.errors.map(error => error.skill_id), ['pack_skill_002']);
+    assert.strictEqual(skillData.getSkill('pack_skill_001').category, 'garden');
+    assert.strictEqual(skillData.getSkill('pack_skill_002'), undefined);
+
+    const pack = skillData.getLoadedPacks().find(entry => entry.pack_id === 'test_pack');
+    assert.strictEqual(pack.skillCount, 1);
+    assert.deepEqual(pack.rejectedSkills, ['pack_skill_002']);
+    assert.ok(skillData.getValidationErrors().includes(result.errors[0]));
+});
+
+test('rejects a pack with an invalid header or another major schema version', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const pack = { pack_id: 'test_pack', version: '1.0.0', schema_version: '2.0.0', skills: [skill] };
+
+    assert.deepEqual(skillData.loadSkillPack(pack).errors.map(error => error.type), ['incompatible_version']);
+    const withoutVersion = { ...pack, schema_version: '1.0.0' };
+    delete withoutVersion.version;
+    assert.deepEqual(skillData.loadSkillPack(withoutVersion).errors.map(error => error.path), ['version']);
+    assert.deepEqual(skillData.loadSkillPack({ ...pack, schema_version: '1.0.0', categories: [{ id: 'Garden!', name: 'Garden' }] }).errors.map(error => error.path), ['categories[0].id']);
+    assert.strictEqual(skillData.getSkill('pack_skill_001'), undefined);
+});
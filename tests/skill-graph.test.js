@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./helpers');
+
+/**
+ * Skill data with only the given garden skills loaded.
+ * IDs in `known` pass validation without being loaded, the way a skill
+ * rejected from another pack still counts when resolving references.
+ */
+function loadGarden(skills, known = []) {
+    const window = createWindow();
+    const skillData = new window.SkillData();
+    const pack = {
+        pack_id: 'garden',
+        version: '1.0.0',
+        schema_version: '1.0.0',
+        categories: [{ id: 'garden', name: 'Garden' }],
+        skills: skills.map(([skill_id, prerequisites = [], unlocks = [], extra = {}]) => ({
+            skill_id, name: skill_id, description: '', category: 'garden', points: 1, position: { x: 0, y: 0 },
+            prerequisites, unlocks, ...extra
+        }))
+    };
+    const context = skillData.addPackIdsToContext(pack, skillData.createValidationContext());
+    known.forEach(skillId => context.skillIds.add(skillId));
+
+    const result = skillData.loadSkillPack(pack, 'garden.json', context);
+    assert.strictEqual(result.success, true, JSON.stringify(result.errors));
+    return skillData;
+}
+
+test('accepts a connected graph with matching edges', () => {
+    const report = loadGarden([
+        ['seed', [], ['sprout']],
+        ['sprout', ['seed'], []]
+    ]).checkGraphIntegrity();
+
+    assert.strictEqual(report.valid, true);
+    assert.deepEqual(report.orphans, []);
+});
+
+test('finds each prerequisite cycle once', () => {
+    const report = loadGarden([
+        ['seed', ['bloom'], ['sprout']],
+        ['sprout', ['seed'], ['bloom']],
+        ['bloom', ['sprout'], ['seed']],
+        ['weed', ['weed_root'], ['weed_root']],
+        ['weed_root', ['weed'], ['weed']]
+    ]).checkGraphIntegrity();
+
+    assert.strictEqual(report.valid, false);
+    assert.deepEqual(report.cycles.map(cycle => [...cycle].sort()), [['bloom', 'seed', 'sprout'], ['weed', 'weed_root']]);
+});
+
+test('treats skills named in an unlock rule as prerequisites', () => {
+    const report = loadGarden([
+        ['seed', [], [], { unlockRule: { any: ['sprout'] } }],
+        ['sprout', [], [], { unlockRule: 'seed' }]
+    ]).checkGraphIntegrity();
+
+    assert.deepEqual(report.cycles.map(cycle => [...cycle].sort()), [['seed', 'sprout']]);
+    assert.deepEqual(report.orphans, []);
+});
+
+test('reports dangling references, one-sided edges and orphans', () => {
+    const report = loadGarden([
+        ['seed', ['compost'], ['sprout']],
+        ['sprout', [], [], { unlockRule: { all: ['seed', 'rain'] } }],
+        ['stone']
+    ], ['compost', 'rain']).checkGraphIntegrity();
+
+    assert.strictEqual(report.valid, false);
+    assert.deepEqual(report.cycles, []);
+    assert.deepEqual(report.danglingReferences, [
+        { skill_id: 'seed', field: 'prerequisites', reference: 'compost' },
+        { skill_id: 'sprout', field: 'unlockRule', reference: 'rain' }
+    ]);
+    assert.deepEqual(report.asymmetricEdges, [{ from: 'seed', to: 'sprout', declaredIn: 'unlocks' }]);
+    assert.deepEqual(report.orphans, ['stone']);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData } = require('./helpers');
+
+/**
+ * Evaluate a rule against a plain progress object
+ */
+function evaluate(skillData, rule, completedSkills, skillRanks = {}) {
+    return skillData.evaluateUnlockRule(rule, { completedSkills, skillRanks });
+}
+
+test('evaluates skill, all and any rules', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const both = { all: ['family_time_001', { skill: 'health_fitness_001' }] };
+    const either = { any: ['family_time_001', 'health_fitness_001'] };
+
+    assert.strictEqual(evaluate(skillData, 'family_time_001', ['family_time_001']).met, true);
+    assert.strictEqual(evaluate(skillData, both, ['family_time_001']).met, false);
+    assert.strictEqual(evaluate(skillData, both, ['family_time_001', 'health_fitness_001']).met, true);
+    assert.strictEqual(evaluate(skillData, either, []).met, false);
+    assert.strictEqual(evaluate(skillData, either, ['health_fitness_001']).met, true);
+    assert.strictEqual(evaluate(skillData, { all: [] }, []).met, true, 'skills without prerequisites are unlocked');
+
+    // Each child reports whether it is met, so the UI can explain what is missing
+    assert.deepEqual(evaluate(skillData, both, ['family_time_001']).children.map(child => child.met), [true, false]);
+});
+
+test('counts a partially ranked skill as started', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+
+    assert.strictEqual(evaluate(skillData, 'family_communication_001', [], { family_communication_001: 1 }).met, true);
+    assert.strictEqual(evaluate(skillData, 'family_communication_001', []).met, false);
+});
+
+test('evaluates count rules', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const rule = { count: 2, of: ['family_time_001', 'health_fitness_001', 'family_leadership_001'] };
+
+    const one = evaluate(skillData, rule, ['family_time_001']);
+    assert.strictEqual(one.met, false);
+    assert.match(one.description, /\(1\/2\)/);
+    assert.strictEqual(evaluate(skillData, rule, ['family_time_001', 'family_leadership_001']).met, true);
+});
+
+test('evaluates points rules in a category and in total', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const points = skillData.getMaxPoints(skillData.getSkill('family_time_001'));
+
+    assert.strictEqual(evaluate(skillData, { points, category: 'family' }, ['family_time_001']).met, true);
+    assert.strictEqual(evaluate(skillData, { points: points + 1, category: 'family' }, ['family_time_001']).met, false);
+    assert.strictEqual(evaluate(skillData, { points, category: 'health' }, ['family_time_001']).met, false);
+    assert.strictEqual(evaluate(skillData, { points }, ['family_time_001']).met, true);
+});
+
+test('evaluates percent rules', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const family = skillData.getSkillsByCategory('family').map(skill => skill.skill_id);
+    const half = family.slice(0, Math.ceil(family.length / 2));
+
+    assert.strictEqual(evaluate(skillData, { percent: 50, category: 'family' }, half).met, true);
+    assert.strictEqual(evaluate(skillData, { percent: 50, category: 'family' }, half.slice(1)).met, false);
+    assert.strictEqual(evaluate(skillData, { percent: 100, category: 'family' }, family).met, true);
+});
+
+test('rejects malformed rules', () => {
+    const window = createWindow();
+    const skillData = loadSkillData(window);
+    const errorsFor = rule => skillData.validateUnlockRule(rule, 'unlockRule', 'custom_skill_x').map(error => error.message);
+
+    assert.deepEqual(errorsFor({ any: ['family_time_001', { count: 1, of: ['health_fitness_001'] }] }), []);
+    assert.match(errorsFor({ all: [], any: [] })[0], /exactly one of/);
+    assert.match(errorsFor({ any: [] })[0], /non-empty array/);
+    assert.match(errorsFor({ count: 3, of: ['family_time_001'] })[0], /between 1 and 1/);
+    assert.match(errorsFor({ percent: 120, category: 'family' })[0], /between 0 and 100/);
+    assert.match(errorsFor({ points: -1 })[0], /non-negative/);
+    assert.match(errorsFor({ all: [''] })[0], /empty skill id/);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWindow, loadSkillData, createUserProgress } = require('./helpers');
+
+const saved = { version: '1.1.0', completedSkills: ['family_time_001'], skillRanks: {}, completionDates: {} };
+
+/**
+ * Let debounced saves run
+ */
+function waitForSaves(userProgress) {
+    return new Promise(resolve => setTimeout(resolve, userProgress.SAVE_DEBOUNCE_MS + 50));
+}
+
+test('backs up progress that cannot be read and does not save over it', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    await storage.set('skillTreeProgress', saved);
+    window.ProgressMigrations.prototype.migrate = () => {
+        throw new Error('corrupt');
+    };
+
+    const userProgress = await createUserProgress(window, loadSkillData(window), storage);
+    await waitForSaves(userProgress);
+
+    assert.match(userProgress.loadError.error, /corrupt/);
+    assert.strictEqual(userProgress.loadError.backupKey, 'skillTreeProgress.backup-unreadable');
+    assert.deepEqual((await storage.get('skillTreeProgress.backup-unreadable')).completedSkills, ['family_time_001']);
+    assert.deepEqual((await storage.get('skillTreeProgress')).completedSkills, ['family_time_001']);
+    assert.deepEqual(userProgress.store.getCompletedSkills(), []);
+});
+
+test('saves nothing when the stored progress cannot be fetched', async () => {
+    const window = createWindow();
+    const storage = new window.MemoryStorageAdapter();
+    await storage.set('skillTreeProgress', saved);
+    const get = storage.get.bind(storage);
+    storage.get = key => (key === 'skillTreeProgress' ? Promise.reject(new Error('storage unavailable')) : get(key));
+
+    const userProgress = await createUserProgress(window, loadSkillData(window), storage);
+    userProgress.completeSkill('health_fitness_001');
+    await waitForSaves(userProgress);
+
+    assert.strictEqual(userProgress.loadError.backupKey, null);
+    assert.strictEqual(userProgress.loaded, false);
+    assert.deepEqual((await get('skillTreeProgress')).completedSkills, ['family_time_001']);
+});